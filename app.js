@@ -1,113 +1,455 @@
 // see https://github.com/mu-semtech/mu-javascript-template for more info
-import { app, query, update, errorHandler, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDecimal, sparqlEscapeDateTime, sparqlEscapeBool } from 'mu';
+import { app, query, update, errorHandler, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeInt, sparqlEscapeDateTime, sparqlEscapeBool } from 'mu';
 import fs from 'fs';
-import mime from 'mime';
+import { EventEmitter } from 'events';
 import DOMPurify from 'dompurify';
 import { JSDOM } from 'jsdom';
 import { isAdminUser } from './lib/authorization';
+import { fetchFile, fetchCachedJSON, FileTooLargeError, LfwRequestError } from './lib/lfw-client';
+import { forEachInOrder } from './lib/worker-pool';
+import { detectMimeType, imageDimensions } from './lib/file-type';
+import { parseCron, nextCronRun } from './lib/cron';
+import {
+  createTripleBatch, applyTripleBatch, currentObjects, currentObject, currentSubjects, insertTriple, deleteTriple,
+  setObjects, deleteSubject, batchChanges, sameTerm, uriTerm, stringTerm, decimalTerm, integerTerm, booleanTerm, dateTerm,
+  dateTimeTerm
+} from './lib/triple-batch';
 
 const purify = DOMPurify( new JSDOM('').window );
-const IGNORED_ORGANIZATIONS=["Pintafish (VLB)"];
 
 // Assumptions
-// - there is a single offering
+// - there is a single offering per pickup point
 // - all product information, except for isEnabled is under our control
 // - product.id is the stable external identifier
-// - all products which were retrieved earlier will be retrieved again (risky given we only fetch public products)
+// - products which are not retrieved for RETIRE_AFTER_MISSED_JOBS successful harvests are no longer sold by LFW
+
+const NAMESPACES = {
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  schema: "http://schema.org/",
+  veeakker: "http://veeakker.be/vocabularies/shop/",
+  food: "http://data.lirmm.fr/ontologies/food#",
+  dct: "http://purl.org/dc/terms/",
+  adms: "http://www.w3.org/ns/adms#",
+  skos: "http://www.w3.org/2004/02/skos/core#",
+  mu: "http://mu.semte.ch/vocabularies/core/",
+  gr: "http://purl.org/goodrelations/v1#",
+  foaf: "http://xmlns.com/foaf/0.1/",
+  dbpedia: "http://dbpedia.org/resource/",
+  nfo: "http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#",
+  nie: "http://www.semanticdesktop.org/ontologies/2007/01/19/nie#",
+  prov: "http://www.w3.org/ns/prov#"
+};
 
 const PREFIXES = `
-  PREFIX schema: <http://schema.org/>
-  PREFIX veeakker: <http://veeakker.be/vocabularies/shop/>
-  PREFIX food: <http://data.lirmm.fr/ontologies/food#>
-  PREFIX dct: <http://purl.org/dc/terms/>
-  PREFIX adms: <http://www.w3.org/ns/adms#>
-  PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-  PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-  PREFIX gr: <http://purl.org/goodrelations/v1#>
-  PREFIX foaf: <http://xmlns.com/foaf/0.1/>
-  PREFIX dbpedia: <http://dbpedia.org/resource/>
-  PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
-  PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
-  PREFIX prov: <http://www.w3.org/ns/prov#>
+${Object.entries(NAMESPACES).map( ([prefix, namespace]) => `  PREFIX ${prefix}: <${namespace}>` ).join("\n")}
 `;
 
-const STORE_ID = 2927; // VT Boutersem
-const PICKUP_POINT_ID = 563; // Pick up point VT Boutersem
+/**
+ * Expands a prefixed name to its full URI.
+ * @param {string} prefixedName Name using one of the NAMESPACES, eg: "dct:title".
+ * @return {string}
+ */
+function iri(prefixedName) {
+  const [prefix, localName] = prefixedName.split(":");
+  return `${NAMESPACES[prefix]}${localName}`;
+}
+
+/**
+ * Shortens a URI to a prefixed name of one of the NAMESPACES.
+ * @param {string} uri
+ * @return {string} The prefixed name, eg: "dct:title", or the URI when it is in none of the namespaces.
+ */
+function prefixedName(uri) {
+  const [prefix, namespace] = Object.entries(NAMESPACES).find( ([, namespace]) => uri.startsWith(namespace) ) || [];
+  return prefix ? `${prefix}:${uri.slice(namespace.length)}` : uri;
+}
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string} name Name of the environment variable.
+ * @param {number} defaultValue Value to use when the variable is not set.
+ * @return {number}
+ */
+function positiveIntegerFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  if ( value === undefined || value === "" )
+    return defaultValue;
+  if ( !/^\s*\d+\s*$/.test(value) || parseInt(value) < 1 )
+    throw `Could not parse ${name} "${value}", expected a positive integer`;
+  return parseInt(value);
+}
+
+// Amount of products which are loaded in parallel during a harvest.
+const HARVEST_CONCURRENCY = positiveIntegerFromEnv("HARVEST_CONCURRENCY", 4);
+
+// Amount of successful harvests in a row which may miss a product before it is retired.
+const RETIRE_AFTER_MISSED_JOBS = parseInt(process.env.RETIRE_AFTER_MISSED_JOBS || "1");
+
+// Largest share of the harvested products which one harvest may retire, a harvest which would retire more only warns.
+// An empty or broken listing would otherwise unpublish the whole catalog.
+const MAX_RETIRED_SHARE = parseFloat(process.env.MAX_RETIRED_SHARE || "0.25");
+
+const JOB_TYPES = {
+  harvest: "http://veeakker.be/lfw-job-types/harvest",
+  dryRun: "http://veeakker.be/lfw-job-types/dry-run",
+  prices: "http://veeakker.be/lfw-job-types/prices",
+  product: "http://veeakker.be/lfw-job-types/product",
+  supplier: "http://veeakker.be/lfw-job-types/supplier"
+};
+
+const LFW_API_BASE_URL = (process.env.LFW_API_BASE_URL || "https://api.localfoodworks.eu").replace(/\/+$/, "");
+
+/**
+ * Parses the rewrites of image URLs.
+ * @param {string} configuration Comma separated from=to pairs of URL prefixes.
+ * eg: "https://localfoodworks-images.s3-eu-west-1.amazonaws.com/=http://lfw-stand-in/images/"
+ * @return {Array<{from: string, to: string}>}
+ */
+function parseUrlRewrites(configuration) {
+  return configuration
+    .split(",")
+    .map( (entry) => entry.trim() )
+    .filter( (entry) => entry )
+    .map( (entry) => {
+      const separator = entry.indexOf("=");
+      const from = entry.slice(0, separator).trim();
+      const to = entry.slice(separator + 1).trim();
+      if ( separator < 0 || !from || !to )
+        throw `Could not parse URL rewrite "${entry}", expected "fromPrefix=toPrefix"`;
+      return { from, to };
+    });
+}
+
+// Images are downloaded from a rewritten URL, together with LFW_API_BASE_URL this lets the harvest run offline.  The
+// pictures keep the URL of LFW as their source.
+const LFW_IMAGE_URL_REWRITES = parseUrlRewrites(process.env.LFW_IMAGE_URL_REWRITES || "");
+
+/**
+ * URL from which an LFW image is downloaded, see LFW_IMAGE_URL_REWRITES.
+ * @param {string} url URL of the image in the LFW payload.
+ * @return {string} URL to download.
+ */
+function imageDownloadUrl(url) {
+  const rewrite = LFW_IMAGE_URL_REWRITES.find( ({ from }) => url.startsWith(from) );
+  return rewrite ? `${rewrite.to}${url.slice(rewrite.from.length)}` : url;
+}
+
+/**
+ * @typedef {Object} PickupPoint
+ * @property {string} storeId LFW identifier of the store.
+ * @property {string} pickupPointId LFW identifier of the pickup point within the store.
+ * @property {string} [uri] URI of the pickup point in our database, once it is known.
+ */
+
+/**
+ * Parses the store and pickup point pairs to harvest.
+ * @param {string} configuration Pairs formatted as "storeId:pickupPointId", separated by commas.
+ * @return {Array<PickupPoint>}
+ */
+function parsePickupPoints(configuration) {
+  return configuration
+    .split(",")
+    .map( (pair) => pair.trim() )
+    .filter( (pair) => pair )
+    .map( (pair) => {
+      const [storeId, pickupPointId] = pair.split(":").map( (id) => id && id.trim() );
+      if ( !storeId || !pickupPointId )
+        throw `Could not parse pickup point "${pair}", expected "storeId:pickupPointId"`;
+      return { storeId, pickupPointId };
+    });
+}
+
+// Defaults to the pick up point of VT Boutersem
+const PICKUP_POINTS = parsePickupPoints(process.env.LFW_PICKUP_POINTS || "2927:563");
+
+/**
+ * @typedef {Object} LabelMapping
+ * @property {string|null} field Field of the product payload, null for labels every LFW product gets.
+ * @property {string|null} value Value the field should have, null when any truthy value applies.
+ * @property {string} label URI of the veeakker label.
+ */
+
+/**
+ * Parses the mapping of LFW product fields to veeakker labels.
+ * @param {string} configuration Entries separated by commas, formatted as "field=labelUri" for flags,
+ * "field:value=labelUri" for attributes with a specific value or "*=labelUri" for every product.
+ * @return {Array<LabelMapping>}
+ */
+function parseLabelMapping(configuration) {
+  return configuration
+    .split(",")
+    .map( (entry) => entry.trim() )
+    .filter( (entry) => entry )
+    .map( (entry) => {
+      const separator = entry.indexOf("=");
+      const condition = entry.slice(0, separator).trim();
+      const label = entry.slice(separator + 1).trim();
+      if ( separator < 0 || !condition || !label )
+        throw `Could not parse label mapping "${entry}", expected "field=labelUri"`;
+      if ( condition === "*" )
+        return { field: null, value: null, label };
+      const [field, ...value] = condition.split(":");
+      return { field: field.trim(), value: value.length ? value.join(":").trim() : null, label };
+    });
+}
+
+// The labels must exist in the shop, the harvest only links products to them.
+const LABEL_MAPPING = parseLabelMapping(process.env.LFW_LABEL_MAPPING ||
+  "*=http://veeakker.be/labels/lfw,bio=http://veeakker.be/labels/bio");
+
+/**
+ * Reads a number of seconds from the environment.
+ * @param {string} name Name of the environment variable.
+ * @param {number} defaultValue Value to use when the variable is not set.
+ * @return {number} Amount of seconds, may be Infinity.
+ */
+function secondsFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? defaultValue : parseFloat(value);
+}
+
+// Time in seconds for which a cached page may be used, "Infinity" keeps pages forever.
+const PAGE_CACHE_TTL = {
+  listing: secondsFromEnv("PAGE_CACHE_TTL_LISTING", 60 * 60),
+  product: secondsFromEnv("PAGE_CACHE_TTL_PRODUCT", 24 * 60 * 60),
+  suppliers: secondsFromEnv("PAGE_CACHE_TTL_SUPPLIERS", 24 * 60 * 60)
+};
 
 function visibleProductsUrl(storeId, pickupPointId, page = 0, pageSize = 36) {
-  return `https://api.localfoodworks.eu/api/store/${storeId}/visible-products?size=${pageSize}&sort=name,asc&pickUpPointId=${pickupPointId}&page=${page}`;
+  return `${LFW_API_BASE_URL}/api/store/${storeId}/visible-products?size=${pageSize}&sort=name,asc&pickUpPointId=${pickupPointId}&page=${page}`;
 }
 
 /**
- * Fetches and caches a JSON page
+ * @typedef {Object} CacheOptions
+ * @property {boolean} [refresh] Ignore the cached file and fetch the page again.  Defaults to false.
+ * @property {string} [job] Job on which the fetch time of the page is recorded.
+ */
+
+/**
+ * Fetches and caches a JSON page, see fetchCachedJSON.
  *
  * @param {string} url Place to download the json body from.
- * @param {string} filePath Place to store the JSON file under `/share`.
+ * @param {string} filePath Place to store the JSON file under `/page-cache`.
+ * @param {CacheOptions & { ttl: number }} options Caching options, ttl is the maximum age of the cached file in
+ * seconds.
  * @return {Object} Parsed JSON object.
  */
-async function cachedJSONPage(url, filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath));
-  } catch (e) {
-    console.log(`Could not find file "${filePath}" for url "${url}" , fetching`);
-    let response = await fetch(url);
-    let jsonBody = await response.json();
-    fs.writeFileSync(filePath, JSON.stringify(jsonBody));
-    return jsonBody;
-  }
+async function cachedJSONPage(url, filePath, { ttl = Infinity, refresh = false, job } = {}) {
+  const { body, fetchedAt } = await fetchCachedJSON(url, filePath, { ttl, refresh });
+
+  if ( job )
+    await recordPageFetch(job, fetchedAt);
+
+  return body;
 }
 
 /**
  * Fetches the page from disk if it exists or gets it from the backend and persists it to disk for later.
+ * @param {PickupPoint} pickupPoint Pickup point for which the products are listed.
+ * @param {number} pageNumber
+ * @param {CacheOptions} options
  * @return {Promise<Object>}
  */
-async function ensurePage( pageNumber ) {
-  const filePath = `/page-cache/${pageNumber}.json`;
-  const url = visibleProductsUrl(STORE_ID, PICKUP_POINT_ID, pageNumber);
+async function ensurePage( pickupPoint, pageNumber, options = {} ) {
+  const { storeId, pickupPointId } = pickupPoint;
+  const filePath = `/page-cache/store-${storeId}-pickup-point-${pickupPointId}-${pageNumber}.json`;
+  const url = visibleProductsUrl(storeId, pickupPointId, pageNumber);
 
-  return await cachedJSONPage(url, filePath);
+  return await cachedJSONPage(url, filePath, { ...options, ttl: PAGE_CACHE_TTL.listing });
 }
 
 /**
  * Fetches a detail page from disk if it exists or gets it from the backend and persists it to disk for later.
  * @param {string|number} productId
  * @param {string|number} shopId;
+ * @param {CacheOptions} options
  * @return {Promise<ProductDetail>}
  */
-async function ensureProductPage(storeId, productId) {
-  const filePath = `/page-cache/product-${productId}.json`;
-  const url = `https://api.localfoodworks.eu/api/store/${storeId}/products/${productId}`;
+async function ensureProductPage(storeId, productId, options = {}) {
+  const filePath = `/page-cache/store-${storeId}-product-${productId}.json`;
+  const url = `${LFW_API_BASE_URL}/api/store/${storeId}/products/${productId}`;
 
-  return await cachedJSONPage(url, filePath);
+  return await cachedJSONPage(url, filePath, { ...options, ttl: PAGE_CACHE_TTL.product });
 }
 
 /**
  * Fetches the overview of suppliers from disk if it exists or gets it from the backend and persists it to disk for
  * later use.
  * @param {string|number} storeId;
+ * @param {CacheOptions} options
  * @return {Promise<[SupplierSummary]>} Parsed JSON page of suppliers.
  */
-async function ensureSuppliersPage(storeId) {
+async function ensureSuppliersPage(storeId, options = {}) {
   const filePath = `/page-cache/shop-${storeId}-suppliers.json`;
-  const url = `https://api.localfoodworks.eu/api/store/${storeId}/suppliers`;
+  const url = `${LFW_API_BASE_URL}/api/store/${storeId}/suppliers`;
+
+  return await cachedJSONPage(url, filePath, { ...options, ttl: PAGE_CACHE_TTL.suppliers });
+}
+
+/**
+ * Fetches the detail page of a supplier from disk if it exists or gets it from the backend and persists it to disk
+ * for later use.
+ * @param {string|number} storeId
+ * @param {string|number} supplierId
+ * @param {CacheOptions} options
+ * @return {Promise<SupplierDetail>} Parsed JSON page of the supplier.
+ */
+async function ensureSupplierPage(storeId, supplierId, options = {}) {
+  const filePath = `/page-cache/shop-${storeId}-supplier-${supplierId}.json`;
+  const url = `${LFW_API_BASE_URL}/api/store/${storeId}/suppliers/${supplierId}`;
+
+  return await cachedJSONPage(url, filePath, { ...options, ttl: PAGE_CACHE_TTL.suppliers });
+}
+
+// Formats which are accepted as pictures, with the extension of their share file.
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif"
+};
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_IMAGE_SIZE || `${10 * 1024 * 1024}`);
+const MIN_IMAGE_DIMENSION = parseInt(process.env.MIN_IMAGE_DIMENSION || "16");
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION || "10000");
+
+/**
+ * A downloaded image which may not be published.
+ */
+class InvalidImageError extends Error {
+  /**
+   * @param {string} url URL of the image.
+   * @param {string} reason Why the image was rejected.
+   */
+  constructor(url, reason) {
+    super(`Image ${url} was rejected: ${reason}`);
+    this.name = "InvalidImageError";
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Verifies the contents of a downloaded image.
+ * @param {string} url URL of the image.
+ * @param {Buffer} buffer Contents of the image.
+ * @return {string} MIME type of the image.
+ * @throws {InvalidImageError} When the image is not in an accepted format, is too large or has unlikely dimensions.
+ */
+function verifyImage(url, buffer) {
+  if ( buffer.length > MAX_IMAGE_SIZE )
+    throw new InvalidImageError(url, `it has ${buffer.length} bytes, the limit is ${MAX_IMAGE_SIZE}`);
+
+  const mimeType = detectMimeType(buffer);
+  if ( !mimeType )
+    throw new InvalidImageError(url, "its format is not recognised");
+  if ( !IMAGE_EXTENSIONS[mimeType] )
+    throw new InvalidImageError(url, `${mimeType} is not an accepted image format`);
 
-  return await cachedJSONPage(url, filePath);
+  const dimensions = imageDimensions(buffer, mimeType);
+  if ( !dimensions )
+    throw new InvalidImageError(url, "its dimensions could not be read");
+  const { width, height } = dimensions;
+  if ( Math.min(width, height) < MIN_IMAGE_DIMENSION || Math.max(width, height) > MAX_IMAGE_DIMENSION )
+    throw new InvalidImageError(url,
+      `it has ${width}x${height} pixels, sides should be ${MIN_IMAGE_DIMENSION} to ${MAX_IMAGE_DIMENSION} pixels`);
+
+  return mimeType;
 }
 
 /**
- * Downloads a file to be stored on a SHARE link in the files.
+ * Downloads an image to be stored on a SHARE link in the files.
  *
- * @param {string} url Place to download the file from.
- * @param {string} filename Place to store the file.
- * @return {Promise}
+ * The content type of the response is not trusted, the format is detected from the contents.  Nothing is written when
+ * the download fails or when the image is rejected.
+ *
+ * @param {string} url Place to download the image from, LFW_IMAGE_URL_REWRITES apply.
+ * @param {string} baseName Name of the file to store without extension, the extension follows from the format.
+ * @return {Promise<{fileName: string, extension: string, size: number, mimeType: string}>} The stored file.
+ * @throws {InvalidImageError} When the image is rejected, see verifyImage.
+ */
+async function downloadShareImage( url, baseName ) {
+  let buffer;
+  try {
+    ({ buffer } = await fetchFile(imageDownloadUrl(url), /(?:)/, { maxSize: MAX_IMAGE_SIZE }));
+  } catch (e) {
+    if ( e instanceof FileTooLargeError )
+      throw new InvalidImageError(url, `it has more than ${MAX_IMAGE_SIZE} bytes, the limit`);
+    throw e;
+  }
+  const mimeType = verifyImage(url, buffer);
+  const extension = IMAGE_EXTENSIONS[mimeType];
+  const fileName = `${baseName}.${extension}`;
+  fs.writeFileSync(`/share/${fileName}`, buffer);
+  return { fileName, extension, size: buffer.length, mimeType };
+}
+
+/**
+ * Path on disk of a file on a SHARE link.
+ * @param {string} shareUri URI of the share resource, eg: share://1234.jpg.
+ * @return {string}
+ */
+function shareFilePath(shareUri) {
+  return `/share/${shareUri.replace(/^share:\/\//, "")}`;
+}
+
+/**
+ * Removes the files of share resources which were dropped from the triplestore.
+ *
+ * Failures are only logged, files which stay behind are found by the orphaned files maintenance.
+ * @param {Array<string>} shareUris URIs of the dropped share resources.
+ */
+function removeShareFiles(shareUris) {
+  for ( const shareUri of shareUris ) {
+    try {
+      fs.rmSync(shareFilePath(shareUri), { force: true });
+    } catch (e) {
+      console.error(`Could not remove file of ${shareUri}: ${e}`);
+    }
+  }
+}
+
+// Files younger than this are left alone by the orphaned files maintenance, they may belong to a download of which the
+// resources are not written yet.
+const ORPHANED_FILE_GRACE_PERIOD = secondsFromEnv("ORPHANED_FILE_GRACE_PERIOD", 60 * 60);
+// Files in /share which the harvest downloads start with this prefix, other services own the rest of /share
+const SHARE_FILE_PREFIX = "lfw-";
+const SHARE_QUERY_PAGE_SIZE = 1000;
+
+/**
+ * Removes the files in /share downloaded by the harvest to which no share resource refers.
+ *
+ * Only files named with SHARE_FILE_PREFIX are considered.  Pictures downloaded before files were prefixed are left
+ * alone as they can not be told apart from files of other services.
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] Only list the orphaned files without removing them.
+ * @return {Promise<Array<string>>} Names of the orphaned files.
  */
-async function downloadShareFile( url, filename ) {
-  const filePath = `/share/${filename}`;
-  let response = await fetch(url);
-  let arrayBuffer = await response.arrayBuffer();
-  let buffer = Buffer.from(arrayBuffer);
-  fs.writeFileSync(filePath, buffer);
-  return;
+async function removeOrphanedShareFiles({ dryRun = false } = {}) {
+  const referencedPaths = new Set();
+  for ( let offset = 0; ; offset += SHARE_QUERY_PAGE_SIZE ) {
+    const bindings = (await query(`${PREFIXES}
+      SELECT DISTINCT ?share WHERE {
+        ?share nie:dataSource ?file.
+        FILTER( STRSTARTS( STR( ?share ), ${sparqlEscapeString(`share://${SHARE_FILE_PREFIX}`)} ) )
+      } ORDER BY ?share LIMIT ${SHARE_QUERY_PAGE_SIZE} OFFSET ${offset}`)).results.bindings;
+    for ( const { share } of bindings )
+      referencedPaths.add(shareFilePath(share.value));
+    if ( bindings.length < SHARE_QUERY_PAGE_SIZE )
+      break;
+  }
+
+  const graceLimit = Date.now() - ORPHANED_FILE_GRACE_PERIOD * 1000;
+  const orphans = fs.readdirSync("/share", { withFileTypes: true })
+    .filter( (entry) => entry.isFile() && entry.name.startsWith(SHARE_FILE_PREFIX) )
+    .filter( (entry) => !referencedPaths.has(`/share/${entry.name}`) )
+    .map( ({ name }) => name )
+    .filter( (name) => fs.statSync(`/share/${name}`).mtimeMs < graceLimit );
+
+  if ( !dryRun )
+    removeShareFiles(orphans.map( (name) => `share://${name}` ));
+
+  return orphans;
 }
 
 /**
@@ -123,24 +465,38 @@ async function downloadShareFile( url, filename ) {
  * @property {Object} pricing.consumerPrice.measurementUnitPrice.money Effective price
  * @property {number} pricing.consumerPrice.measurementUnitPrice.money.amount Actual price number. eg: 10.37
  * @property {string} pricing.consumerPrice.measurementUnitPrice.money.currency Currency for the price. eg: EUR
- * @property {"stk"|"kg"} pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement Per how much the price is.   'stk', 'kg', 'l' eg: "stk"
+ * @property {string} pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement Per how much the price is, see LFW_UNITS.  eg: "stk"
  * @property {Object} pricing.consumerPrice.orderUnitPrice Price for ordering a specific unit. (eg: price per kg)
  * @property {Object} pricing.consumerPrice.orderUnitPrice.money Effective price
  * @property {number} pricing.consumerPrice.orderUnitPrice.money.amount Actual price number. eg: 10.37
  * @property {string} pricing.consumerPrice.orderUnitPrice.money.currency Currency for the price. eg: EUR
  * @property {"stk"|"kg"} pricing.consumerPrice.orderUnitPrice.unitOfMeasurement Per how much the price is.  'stk', 'kg', 'l'. eg: "stk"
  * @property {Object} pricing.consumerPrice.breakdown Who earns what for this product, empty here.
- * @property {null} pricing.consumerPrice.consumerActionPrice Special action price, not used by us. eg: null
+ * @property {ActionPrice|null} pricing.consumerPrice.consumerActionPrice Promotional price for the order unit. eg: null
  * @property {number} pricing.measurementUnitVsOrderUnitRatio How much is one ordered unit versus the unit price. eg: 1
  * @property {boolean} canBeOrderedAsFractionOfOrderUnit Always false for us.  eg: false
- * @property {boolean} available Whether the product is available now (always true for us). eg: true
- * @property {string} latestOrderDate Up to when can the product be ordered, ignored by us. eg: "2025-04-20",
- * @property {string} earliestPickUpDate From when can the product be picked up, ignored by us. eg: "2025-04-23",
- * @property {boolean} bio Is this a bio product? eg: false,
- * @property {boolean} pgs I don't know.  eg: false,
+ * @property {boolean} available Whether the product is available now, stored on the offering. eg: true
+ * @property {string} latestOrderDate Last day on which the product can be ordered, stored on the offering. eg: "2025-04-20",
+ * @property {string} earliestPickUpDate First day on which the product can be picked up, stored on the offering. eg: "2025-04-23",
+ * @property {boolean} bio Is this a bio product?  Mapped to a label, see LABEL_MAPPING. eg: false,
+ * @property {boolean} pgs Certified through a participatory guarantee system?  Mapped to a label, see LABEL_MAPPING. eg: false,
  * @property {string} image Thumbnail image eg: "https://localfoodworks-images.s3-eu-west-1.amazonaws.com/products/181/c0339609-8fdc-4a1b-8703-945623b77837.png",
  * @property {string} content How much is in one package as text.  eg: "5",
- * @property {boolean} deliverable Can the product be delivered?  Always true for us. eg: true
+ * @property {boolean} deliverable Can the product be delivered?  Stored on the offering. eg: true
+ */
+
+/**
+ * @typedef {Object} ActionPrice
+ *
+ * We have only seen null as consumerActionPrice.  The shape of money follows the other prices, validFrom, validTo and
+ * label are guesses which should be confirmed against a payload with a promotion.  Missing fields are tolerated.
+ *
+ * @property {Object} money Promotional price of the order unit.
+ * @property {number} money.amount Actual price number. eg: 8.99
+ * @property {string} money.currency Currency for the price. eg: EUR
+ * @property {string} [validFrom] First day or moment of the promotion. eg: "2025-04-14"
+ * @property {string} [validTo] Last day or moment of the promotion, a day includes all of that day. eg: "2025-04-20"
+ * @property {string} [label] Name of the promotion. eg: "Actie"
  */
 
 /**
@@ -155,12 +511,30 @@ async function downloadShareFile( url, filename ) {
 
 /**
  * @typedef {Object} SupplierInfo
+ * @property {number} supplier.id Supplier identifier, as in the SupplierSummary
  * @property {string} supplier.name Name of the supplier
  * @property {string} supplier.description Description of the supplier as formattet text (non html)
  * @property {string} supplier.emailAddress Email address of the supplier
  * @property {string} supplier.image Promotional picture belonging to the supplier
  */
 
+/**
+ * @typedef {Object} SupplierDetail
+ * @property {number} id Supplier identifier.
+ * @property {string} name Name of the supplier as presented in the interface.
+ * @property {string} description Description of the supplier as formatted text (non html).
+ * @property {string} emailAddress Email address of the supplier.
+ * @property {string} image Promotional picture belonging to the supplier.
+ * @property {string} website Website of the supplier.
+ * @property {string} phoneNumber Phone number of the supplier.
+ * @property {Object} address Address of the supplier.
+ * @property {string} address.street Street of the supplier.
+ * @property {string} address.number House number in the street.
+ * @property {string} address.postalCode Postal code of the city.
+ * @property {string} address.city City of the supplier.
+ * @property {string} address.country Country of the supplier.
+ */
+
 /**
  * @typedef {BaseProduct & { supplier: SupplierName }} ProductListed
  * @typedef {BaseProduct & { supplier: SupplierInfo }} ProductDetail
@@ -172,895 +546,3857 @@ async function downloadShareFile( url, filename ) {
  * @param {ProductListed} product
  * @param {Object} options Options for fetching the product.
  * @param {boolean} options.external Fetch product externally through its custom paylod.  Defaults to false.
+ * @param {boolean} options.refresh Ignore the page-cache when fetching the product externally.  Defaults to false.
  * @param {string} options.job Job to which the product harvesting will be connected.
+ * @param {PickupPoint} options.pickupPoint Pickup point at which the product is offered.  Defaults to the first
+ * configured pickup point.
+ * @param {ChangeSet} options.changes Change set to which the changes for this product are added.  Optional.
+ * @param {boolean} options.dryRun Only collect the changes, without writing them.  Defaults to false.
+ * @param {boolean} options.pricesOnly Only update the prices of existing products, products which do not exist yet are
+ * skipped.  Defaults to false.
+ * @param {Exclusions} options.exclusions Products and suppliers which should not be harvested.  Fetched when not
+ * supplied.
+ * @return {Promise<ProductOutcome>} What loading did, or would do for a dry run, to the product.
  */
 async function loadProduct( product, options ) {
-  // NOTE: we should search for the old information and keep its identifiers whenever possible.
-  if ( options && options.external === true ) {
-    product = await ensureProductPage(STORE_ID, product.id);
-  }
-
-  console.log(`Loading ${JSON.stringify(product)}`);
-  let { productUri, admsIdentifier: _identifier } = await ensureProductMeta(product);
-  if ( !IGNORED_ORGANIZATIONS.includes(product.supplier) ) {
-    if( options.job )
-      await ensureProductJobConnection(productUri, options.job);
-    await ensureBaseProductInfo(product, productUri);
-    await ensureProductDefaultPricing(product, productUri);
-    const offeringResources = await ensureProductOffers(product, productUri);
-    await ensureProductIngredients(product, productUri);
-    await ensureProductAllergens(product, productUri);
-    await ensureProductPicture(product, productUri);
-    if (typeof product.supplier === "object") {
-      // product has a supplier object so it has to be a ProductDetail
-      await loadProductSupplier( offeringResources.offering, product.supplier );
-    }
-  }
+  return await withProductLock(product.id, () => loadLockedProduct(product, options));
 }
 
+// Loads which are running or waiting, by LFW product identifier.
+const PRODUCT_LOCKS = new Map();
+
 /**
- * Connects the product to the job.
- * @param {string} productUri URI of the product to be connected.
- * @param {string} jobUri URI of the job to which the product should be connected.
+ * Runs work for a product once all earlier work for the same LFW product is done.
+ *
+ * Products are loaded in parallel, this ensures the resources of a single product are never created twice.
+ * @param {number|string} productId LFW identifier of the product.
+ * @param {() => Promise<T>} work
+ * @return {Promise<T>}
+ * @template T
  */
-async function ensureProductJobConnection(productUri, jobUri) {
-  await update(`
-    ${PREFIXES}
-    INSERT DATA {
-      ${sparqlEscapeUri(productUri)} prov:wasGeneratedBy ${sparqlEscapeUri(jobUri)}
-    }`);
+async function withProductLock(productId, work) {
+  return await withLock(PRODUCT_LOCKS, `${productId}`, work);
 }
 
+// Updates of supplier profiles which are running or waiting, by supplier URI.
+const SUPPLIER_LOCKS = new Map();
+
 /**
- * Stores the product's default pricing.
- * This should be roughly the price per unit (which may be KG).
- * @param {Product} product The product payload.
- * @param {string} productUri Internal identifier
+ * Runs work for a supplier once all earlier work for the same supplier is done.
+ *
+ * Products of the same supplier are loaded in parallel and each updates the supplier's profile, this ensures the
+ * address and thumbnail of a supplier are never created twice.
+ * @param {string} supplierUri URI of the supplier.
+ * @param {() => Promise<T>} work
+ * @return {Promise<T>}
+ * @template T
  */
-async function ensureProductDefaultPricing(product, productUri) {
-  const consumerPrice = product.pricing.consumerPrice;
-  const priceSpecification = consumerPrice.measurementUnitPrice;
-  const euros = priceSpecification.money.amount;
-  const unitOfMeasurement = priceSpecification.unitOfMeasurement;
-  // It is less important to keep the uri for the TypeAndQuantityNode and the UnitPriceSpecification in this case but
-  // we'll try to keep them as an exercise.
-
-  const singleUnitPriceResource = await ensureSingleUnitPriceResource(productUri);
-  const targetUnitResource = await ensureTargetUnitResource(productUri);
-
-  await update(`
-    ${PREFIXES}
-    DELETE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(singleUnitPriceResource)} ?p ?o.
-      }    
-    } WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        VALUES ?p {
-          gr:hasUnitOfMeasurement gr:hascurrencyValue
-        }
-        ${sparqlEscapeUri(singleUnitPriceResource)} ?p ?o.
-      }
-    };
-    INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        # All the information we can find.
-        ${sparqlEscapeUri(singleUnitPriceResource)}
-          gr:hasUnitOfMeasurement ${sparqlEscapeString(convertLfwUnitToCEFACT(unitOfMeasurement))};
-          gr:hasCurrencyValue ${sparqlEscapeDecimal(euros)}.
-      }
-    }`);
-
-  const targetUnitMeasurementUnit = convertLfwUnitToCEFACT(consumerPrice.measurementUnitPrice.unitOfMeasurement);
-  const targetUnitMeasurementAmount = product.pricing.measurementUnitVsOrderUnitRatio;
-
-  await update(`
-    ${PREFIXES}
-    DELETE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(targetUnitResource)} ?p ?o.
-      }
-    } WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        VALUES ?p {
-          gr:hasUnitOfMeasurement gr:hasValue
-        }
-        ${sparqlEscapeUri(targetUnitResource)} ?p ?o.
-      }
-    };
-    INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        # All the information we can find.
-        ${sparqlEscapeUri(targetUnitResource)}
-          gr:hasUnitOfMeasurement ${sparqlEscapeString(targetUnitMeasurementUnit)};
-          gr:hasValue ${sparqlEscapeDecimal(targetUnitMeasurementAmount)}.
-      }
-    }`);
+async function withSupplierLock(supplierUri, work) {
+  return await withLock(SUPPLIER_LOCKS, supplierUri, work);
 }
 
 /**
- * Convert an LFW unit to a CEFACT unit.
- * @param {string} unit Unit to be converted.
- * @return {string} CEFACT unit as used in webshop.
+ * Runs work once the work which is running or waiting under the same key is done.
+ * @param {Map<string,Promise>} locks Last work by key, entries are removed once no work is left for them.
+ * @param {string} key
+ * @param {() => Promise<T>} work
+ * @return {Promise<T>}
+ * @template T
  */
-function convertLfwUnitToCEFACT(unit) {
-  switch (unit) {
-    case "l":
-      return "LTR";
-    case "kg":
-      return "KGM";
-    case "stk":
-      return "C62";
-    default:
-      throw `Could not translate unit ${unit}`;
+async function withLock(locks, key, work) {
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.catch( () => null ).then(work);
+  locks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if ( locks.get(key) === current )
+      locks.delete(key);
   }
 }
 
 /**
- * Ensures a UnitPriceSpecification resource exists for productUri.
- * @param {string} productUri
- * @return {string} Uri of the relationship to the veeakker:singleUnitPrice.
+ * Failure to load a single product.  A harvest records it on the job and carries on with the other products.
  */
-async function ensureSingleUnitPriceResource( productUri ) {
-  const currentBindings = (await query(`${PREFIXES}
-    SELECT ?unitPriceSpecification
-    WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)} veeakker:singleUnitPrice ?unitPriceSpecification.
-      }
-    } LIMIT 1`)).results.bindings;
-  if ( currentBindings.length > 0 ) {
-    return currentBindings[0].unitPriceSpecification.value;
-  } else {
-    const unitPriceSpecificationUuid = uuid();
-    const unitPriceSpecificationUri = `http://veeakker.be/price-specifications/${unitPriceSpecificationUuid}`;
-    await update(`${PREFIXES}
-      INSERT DATA {
-        GRAPH <http://mu.semte.ch/application> {
-          ${sparqlEscapeUri(productUri)} 
-            veeakker:singleUnitPrice
-              ${sparqlEscapeUri(unitPriceSpecificationUri)}.
-          ${sparqlEscapeUri(unitPriceSpecificationUri)}
-            a gr:UnitPriceSpecification;
-            mu:uuid ${sparqlEscapeString(unitPriceSpecificationUuid)}.
-        }
-      }`);
-    return unitPriceSpecificationUri;
+class ProductLoadError extends Error {
+  /**
+   * @param {number|string} productId LFW identifier of the product.
+   * @param {string} step Step of loading the product which failed, eg: "pricing".
+   * @param {Error|string} cause The original failure.
+   */
+  constructor(productId, step, cause) {
+    super(`Product ${productId} failed at step "${step}": ${errorMessage(cause)}`);
+    this.name = "ProductLoadError";
+    this.productId = productId;
+    this.step = step;
+    this.cause = cause;
   }
 }
+
 /**
- * Ensures a QuantitativeValue resource exists for targetUnit.
- * @param {string} productUri
- * @return {string} Uri of the relationship to the veeakker:targetUnit.
+ * Describes a failure, some of our helpers throw strings rather than errors.
+ * @param {Error|string} error
+ * @return {string}
  */
-async function ensureTargetUnitResource( productUri ) {
-  const currentBindings = (await query(`${PREFIXES}
-    SELECT ?quantitativeValue
-    WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)} veeakker:targetUnit ?quantitativeValue.
-      }
-    } LIMIT 1`)).results.bindings;
-  if ( currentBindings.length > 0 ) {
-    return currentBindings[0].quantitativeValue.value;
-  } else {
-    const quantitativeValueUuid = uuid();
-    const quantitativeValueUri = `http://veeakker.be/quantitative-values/${quantitativeValueUuid}`;
-    await update(`${PREFIXES}
-      INSERT DATA {
-        GRAPH <http://mu.semte.ch/application> {
-          ${sparqlEscapeUri(productUri)} 
-            veeakker:targetUnit
-              ${sparqlEscapeUri(quantitativeValueUri)}.
-          ${sparqlEscapeUri(quantitativeValueUri)}
-            a gr:QuantitativeValue;
-            mu:uuid ${sparqlEscapeString(quantitativeValueUuid)}.
-        }
-      }`);
-    return quantitativeValueUri;
-  }
+function errorMessage(error) {
+  return error instanceof Error ? error.message : `${error}`;
 }
 
 /**
- * Stores the product's pricing.
- * @param {Product} product The product payload.
- * @param {string} productUri Internal identifier
- * @return {Promise<OfferingResources>}
+ * @typedef {"created"|"updated"|"unchanged"|"excluded"|"skipped"} ProductOutcome
  */
-async function ensureProductOffers(product, productUri) {
-  // We assume there's one product offering
-  const offering = await ensureOfferingResources(productUri);
-  const euros = product.pricing.consumerPrice.orderUnitPrice.money.amount;
-  await update(`${PREFIXES}
-    DELETE {
-      ${sparqlEscapeUri(offering.unitPrice)} ?p ?o.
-    } WHERE {
-      VALUES ?p { gr:hasUnitOfMeasurement gr:hasCurrencyValue }
-      ${sparqlEscapeUri(offering.unitPrice)} ?p ?o.
-    };
-    INSERT DATA {
-      ${sparqlEscapeUri(offering.unitPrice)}
-        gr:hasUnitOfMeasurement "C62";
-        gr:hasCurrencyValue ${sparqlEscapeDecimal(euros)}.
+
+/**
+ * Ingests an individual product, see loadProduct.  Must only be called while holding the product's lock.
+ * @param {ProductListed} product
+ * @param {Object} options See loadProduct.
+ * @return {Promise<ProductOutcome>} What loading did to the product.
+ * @throws {ProductLoadError} When any step of loading the product fails, nothing of the product is written then.
+ */
+async function loadLockedProduct( product, options ) {
+  let step = "fetch product page";
+  try {
+    const pickupPoint = { ...(options.pickupPoint || PICKUP_POINTS[0]) };
+    // NOTE: we should search for the old information and keep its identifiers whenever possible.
+    if ( options && options.external === true ) {
+      product = await ensureProductPage(pickupPoint.storeId, product.id, { refresh: options.refresh, job: options.job });
     }
-  `);
+    step = "pickup point";
+    if ( !pickupPoint.uri && options.dryRun )
+      // a dry run does not create the pickup point, its offerings are reported on a stand-in
+      pickupPoint.uri = await findPickupPoint(pickupPoint)
+        || `http://veeakker.be/pickup-points/new-${pickupPoint.storeId}-${pickupPoint.pickupPointId}`;
+    else if ( !pickupPoint.uri )
+      pickupPoint.uri = await ensurePickupPoint(pickupPoint);
 
-  // When looking at this it turns out there is limited reasoning to be made,
-  // the orderUnit is not very relevant for our case.  Even when a "piece" is
-  // ordered, this boils down to one time the unit weight.
+    console.log(`Loading ${JSON.stringify(product)}`);
+    step = "exclusions";
+    const exclusions = options.exclusions || await fetchExclusions();
+    if ( isExcluded(product, exclusions) ) {
+      if ( !options.dryRun )
+        await unpublishExcludedProduct(product, options.job);
+      return "excluded";
+    }
 
-  const amount = product.pricing.measurementUnitVsOrderUnitRatio;
-  const unit = convertLfwUnitToCEFACT(product.pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement);
+    step = "read current state";
+    const batch = await readProductState(product);
+    const isNew = !productInState(batch);
+    if ( options.pricesOnly && isNew )
+      return "skipped";
 
-  await update(`${PREFIXES}
-    DELETE {
-      ${sparqlEscapeUri(offering.typeAndQuantity)} ?p ?o.
-    } WHERE {
-      VALUES ?p { gr:amountOfThisGood gr:hasUnitOfMeasurement gr:typeOfGood }
-      ${sparqlEscapeUri(offering.typeAndQuantity)} ?p ?o.
-    };
-    INSERT DATA {
-      ${sparqlEscapeUri(offering.typeAndQuantity)}
-        gr:amountOfThisGood ${sparqlEscapeDecimal(amount)};
-        gr:hasUnitOfMeasurement ${sparqlEscapeString(unit)};
-        gr:typeOfGood ${sparqlEscapeUri(productUri)}.
-    }`);
-  return offering;
+    // All changes are collected on the state which was read and written at once, so the product is never half-written.
+    const now = new Date();
+    // Listing pages carry the prices, the rest of the information is only complete on the product's own page.
+    const hasDetails = !options.pricesOnly;
+    step = "base information";
+    const productUri = ensureProductMeta(batch, product);
+    if( options.job )
+      ensureProductJobConnection(batch, productUri, options.job);
+    let conflicts = [];
+    if ( hasDetails )
+      conflicts = ensureBaseProductInfo(batch, product, productUri);
+    step = "pricing";
+    ensureProductDefaultPricing(batch, product, productUri, options.job, now);
+    step = "offering";
+    const offeringResources = ensureProductOffers(batch, product, productUri, pickupPoint.uri, options.job, now);
+    let supplierUri = null;
+    let droppedShareFiles = [];
+    let unknownAllergens = [];
+    if ( hasDetails ) {
+      step = "ingredients and allergens";
+      ensureProductIngredients(batch, product, productUri);
+      unknownAllergens = ensureProductAllergens(batch, product, productUri);
+      step = "picture";
+      droppedShareFiles = await ensureProductPicture(batch, product, productUri, options.job, { dryRun: options.dryRun });
+      step = "supplier";
+      if ( typeof product.supplier === "object" )
+        supplierUri = ensureOfferingSupplier(batch, offeringResources.offering);
+    }
+    step = "collect changes";
+    const changes = options.changes || createChangeSet();
+    const outcome = collectProductChanges(batch, product, pickupPoint, changes, isNew);
+    changes.conflicts.push(...conflicts.map( (conflict) => ({ lfwId: product.id, productUri, ...conflict }) ));
+    // A dry run reports what the harvest would write, without writing it
+    if ( options.dryRun )
+      return outcome;
+
+    step = "write product";
+    await applyTripleBatch(batch);
+    removeShareFiles(droppedShareFiles);
+    for ( const { field, localValue, lfwValue } of conflicts.filter( ({ reported }) => !reported ) )
+      await warnJob(options.job, `Product ${product.id} has a locally edited ${field} "${localValue}" which differs from "${lfwValue}" in LFW, the local value is kept`);
+    for ( const { id, name } of unknownAllergens )
+      await warnJobOnce(options.job, `allergen-${id}`, `Allergen ${id} "${name}" is not recognised as one of the EU allergens, products only list it as text; configure it in LFW_ALLERGEN_IDS if it is one`);
+
+    if (hasDetails && typeof product.supplier === "object") {
+      // product has a supplier object so it has to be a ProductDetail
+      step = "supplier profile";
+      await loadProductSupplier( batch, supplierUri, offeringResources.offering, product.supplier, options.job );
+    }
+
+    return outcome;
+  } catch (e) {
+    throw new ProductLoadError(product.id, step, e);
+  }
 }
 
 /**
- * @typedef OfferingResources
- * @property {string} offering Resource of the offering.
- * @property {string} typeAndQuantity Resource of the type and quantity.
- * @property {string} unitPrice Resource of the unit price specification.
+ * @typedef {Object} Exclusion
+ * @property {string} uri URI of the exclusion.
+ * @property {string} uuid mu:uuid of the exclusion.
+ * @property {string|null} supplierId LFW identifier of the excluded supplier.
+ * @property {string|null} supplierName Name of the excluded supplier, for suppliers of which the identifier is unknown.
+ * @property {string|null} productId LFW identifier of the excluded product.
+ * @property {string|null} reason Why the supplier or product is excluded.
+ * @property {string} created When the exclusion was created.
  */
 
 /**
- * Ensures there's a complete offering resource available.
- * @return {Promise<OfferingResources>} resources Resulting entities
+ * @typedef {Object} Exclusions
+ * @property {Set<string>} supplierIds LFW identifiers of the excluded suppliers.
+ * @property {Set<string>} supplierNames Names of the excluded suppliers, for products which only name their supplier.
+ * @property {Set<string>} productIds LFW identifiers of the excluded products.
  */
-async function ensureOfferingResources(productUri) {
-  // ensure offering URI exists
-  const offering = await ensureOffering(productUri);
-  const typeAndQuantity = await ensureOfferingTypeAndQuantity(offering);
-  const unitPrice = await ensureOfferingUnitPrice(offering);
-
-  return {
-    offering,
-    typeAndQuantity,
-    unitPrice 
-  };
-}
 
 /**
- * Ensures the offering resource exists.
- * @param {string} productUri Uri of the product.
- * @return {string} URI of the offering.
+ * Fetches the exclusions managed by the admins, most recent first.
+ * @param {string} [exclusionUuid] Only fetch the exclusion with this mu:uuid.
+ * @return {Promise<Array<Exclusion>>}
  */
-async function ensureOffering(productUri) {
+async function fetchExclusionList(exclusionUuid) {
   const bindings = (await query(`${PREFIXES}
-    SELECT ?offeringUri WHERE {
-      ${sparqlEscapeUri(productUri)} veeakker:offerings ?offeringUri.
-    } LIMIT 1`)).results.bindings; // assume single offering at this point
-  
-  if (bindings.length > 0) {
-    return bindings[0].offeringUri.value;
-  } else {
-    const offeringUuid = uuid();
-    const offeringUri = `http://veeakker.be/offerings/${offeringUuid}`;
-
-    await update(`${PREFIXES}
-      INSERT DATA {
-        ${sparqlEscapeUri(productUri)} 
-          veeakker:offerings ${sparqlEscapeUri(offeringUri)}.
-        ${sparqlEscapeUri(offeringUri)}
-          a gr:Offering;
-          mu:uuid ${sparqlEscapeString(offeringUuid)}.
-          }`);
+    SELECT ?exclusion ?uuid ?supplierId ?supplierName ?productId ?reason ?created
+    WHERE {
+      ?exclusion a veeakker:LfwExclusion;
+        mu:uuid ?uuid;
+        dct:created ?created.
+      ${exclusionUuid ? `VALUES ?uuid { ${sparqlEscapeString(exclusionUuid)} }` : ""}
+      OPTIONAL { ?exclusion veeakker:lfwSupplierId ?supplierId. }
+      OPTIONAL { ?exclusion veeakker:lfwSupplierName ?supplierName. }
+      OPTIONAL { ?exclusion veeakker:lfwProductId ?productId. }
+      OPTIONAL { ?exclusion dct:description ?reason. }
+    } ORDER BY DESC(?created)`)).results.bindings;
 
-    return offeringUri;
-  }
+  return bindings.map( (binding) => ({
+    uri: binding.exclusion.value,
+    uuid: binding.uuid.value,
+    supplierId: binding.supplierId ? binding.supplierId.value : null,
+    supplierName: binding.supplierName ? binding.supplierName.value : null,
+    productId: binding.productId ? binding.productId.value : null,
+    reason: binding.reason ? binding.reason.value : null,
+    created: binding.created.value
+  }));
 }
 
 /**
- * Ensures the Offering's typeAndQuantity exists.
- * @param {string} offeringUri
- * @return {string} typeAndQuantity resource.
+ * Fetches the exclusions in the shape used while harvesting.
+ * @return {Promise<Exclusions>}
  */
-async function ensureOfferingTypeAndQuantity(offeringUri) {
-  const bindings = (await query(`${PREFIXES}
-    SELECT ?typeAndQuantityUri
-    WHERE {
-      ${sparqlEscapeUri(offeringUri)} gr:includesObject ?typeAndQuantityUri.
-    } LIMIT 1`)).results.bindings;
-  if ( bindings.length > 0 ) {
-    return bindings[0].typeAndQuantityUri.value;
-  } else {
-    const typeAndQuantityUuid = uuid();
-    const typeAndQuantityUri = `http://veeakker.be/type-and-quantities/${typeAndQuantityUuid}`;
-
-    await update(`${PREFIXES}
-      INSERT DATA {
-        ${sparqlEscapeUri(offeringUri)} 
-          gr:includesObject ${sparqlEscapeUri(typeAndQuantityUri)}.
-        ${sparqlEscapeUri(typeAndQuantityUri)}
-          a gr:TypeAndQuantityNode;
-          mu:uuid ${sparqlEscapeString(typeAndQuantityUuid)}.
-      }`);
+async function fetchExclusions() {
+  const exclusionList = await fetchExclusionList();
+  const supplierIds = new Set(exclusionList.filter( ({supplierId}) => supplierId ).map( ({supplierId}) => supplierId ));
+  const productIds = new Set(exclusionList.filter( ({productId}) => productId ).map( ({productId}) => productId ));
 
-    return typeAndQuantityUri;
+  const supplierNames = new Set(exclusionList.filter( ({supplierName}) => supplierName ).map( ({supplierName}) => supplierName ));
+  if ( supplierIds.size ) {
+    (await query(`${PREFIXES}
+      SELECT ?name
+      WHERE {
+        VALUES ?supplierId { ${[...supplierIds].map(sparqlEscapeString).join(" ")} }
+        ?supplier a gr:BusinessEntity;
+          gr:name ?name;
+          adms:identifier ?identifier.
+        ?identifier dct:creator <https://localfoodworks.eu/>;
+          skos:notation ?supplierId.
+      }`)).results.bindings
+      .forEach( (binding) => supplierNames.add(binding.name.value) );
   }
+
+  return { supplierIds, supplierNames, productIds };
 }
 
 /**
- * Ensures the Offering's unitPrice exists.
- * @param {string} offeringUri
- * @return {string} unitPrice resource.
+ * Stores an exclusion.
+ * @param {Object} exclusion Either a supplierId, a supplierName or a productId.
+ * @param {string|number} [exclusion.supplierId] LFW identifier of the supplier to exclude.
+ * @param {string} [exclusion.supplierName] Name of the supplier to exclude.
+ * @param {string|number} [exclusion.productId] LFW identifier of the product to exclude.
+ * @param {string} [exclusion.reason] Why the supplier or product is excluded.
+ * @return {Promise<string>} mu:uuid of the new exclusion.
  */
-async function ensureOfferingUnitPrice(offeringUri) {
-  const bindings = (await query(`${PREFIXES}
-    SELECT ?unitPriceUri
-    WHERE {
-      ${sparqlEscapeUri(offeringUri)} gr:hasPriceSpecification ?unitPriceUri.
-    } LIMIT 1`)).results.bindings;
-  if ( bindings.length > 0 ) {
-    return bindings[0].unitPriceUri.value;
-  } else {
-    const unitPriceSpecificationUuid = uuid();
-    const unitPriceSpecificationUri = `http://veeakker.be/price-specifications/${unitPriceSpecificationUuid}`;
+async function createExclusion({ supplierId, supplierName, productId, reason }) {
+  const exclusionUuid = uuid();
+  const exclusionUri = `http://veeakker.be/lfw-exclusions/${exclusionUuid}`;
+  await update(`${PREFIXES}
+    INSERT DATA {
+      ${sparqlEscapeUri(exclusionUri)}
+        a veeakker:LfwExclusion;
+        mu:uuid ${sparqlEscapeString(exclusionUuid)};
+        ${supplierId ? `veeakker:lfwSupplierId ${sparqlEscapeString(`${supplierId}`)};` : ""}
+        ${supplierName ? `veeakker:lfwSupplierName ${sparqlEscapeString(supplierName)};` : ""}
+        ${productId ? `veeakker:lfwProductId ${sparqlEscapeString(`${productId}`)};` : ""}
+        ${reason ? `dct:description ${sparqlEscapeString(reason)};` : ""}
+        dct:created ${sparqlEscapeDateTime(new Date())}.
+    }`);
+  return exclusionUuid;
+}
 
-    await update(`${PREFIXES}
-      INSERT DATA {
-        ${sparqlEscapeUri(offeringUri)} 
-          gr:hasPriceSpecification ${sparqlEscapeUri(unitPriceSpecificationUri)}.
-        ${sparqlEscapeUri(unitPriceSpecificationUri)}
-          a gr:UnitPriceSpecification;
-          mu:uuid ${sparqlEscapeString(unitPriceSpecificationUuid)}.
-      }`);
+// Suppliers which are excluded by name the first time the service starts, separated by semicolons.  Set it empty to
+// start without exclusions.
+const DEFAULT_EXCLUDED_SUPPLIERS = process.env.DEFAULT_EXCLUDED_SUPPLIERS === undefined
+  ? "Pintafish (VLB)"
+  : process.env.DEFAULT_EXCLUDED_SUPPLIERS;
 
-    return unitPriceSpecificationUri;
-  }
-}
+// Resource of this service on which it records what it has set up in the triplestore.
+const IMPORTER_URI = "http://veeakker.be/services/import-from-lfw-api";
 
 /**
- * Ingests the product ingredients if they're in the payload.
- * If they are not in the payload, they are removed.
- * @param {Product} product The product payload.
- * @param {string} productUri The product's URI.
+ * Stores the exclusions of DEFAULT_EXCLUDED_SUPPLIERS unless they were stored before.
+ *
+ * The service remembers having stored them, so exclusions which admins removed are not stored again.
  */
-async function ensureProductIngredients(product, productUri) {
-  let sortedIngredientsList = product.ingredients
-    ? product
-      .ingredients
-      .sort((a,b) => a.position - b.position)
-      .map(({name}) => name)
-      .map((name) => purify.sanitize(name, { USE_PROFILES: { html: true } }))
-    : null;
-
-  let ingredientsString = 
-    product.ingredients
-      // TODO: perform HTML escaping
-      ? `<ul>${sortedIngredientsList.map((s) => `\n  <li>${s}</li>`).join("")}\n</ul>`
-      : null;
+async function ensureDefaultExclusions() {
+  const seeded = (await query(`${PREFIXES}
+    ASK {
+      ${sparqlEscapeUri(IMPORTER_URI)} veeakker:defaultExclusionsSeeded true.
+    }`)).boolean;
+  if ( seeded )
+    return;
 
+  for ( const supplierName of DEFAULT_EXCLUDED_SUPPLIERS.split(";").map( (name) => name.trim() ).filter( (name) => name ) )
+    await createExclusion({ supplierName, reason: "Excluded by default" });
   await update(`${PREFIXES}
-    DELETE WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)}
-          food:ingredientListAsText ?oldIngredients.
-      }
-    }
-    ${ ingredientsString ?
-    `;
     INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)}
-          food:ingredientListAsText
-            ${sparqlEscapeString(ingredientsString)}.
-      }
-    }` : ""
+      ${sparqlEscapeUri(IMPORTER_URI)} veeakker:defaultExclusionsSeeded true.
     }`);
 }
 
 /**
- * Ingests the product allergens if they're in the payload.
- * If they are not in the payload, they are removed.
+ * Whether the product, or its supplier, is excluded from harvesting.
  * @param {Product} product The product payload.
- * @param {string} productUri The product's URI.
+ * @param {Exclusions} exclusions
+ * @return {boolean}
  */
-async function ensureProductAllergens(product, productUri) {
-  let sortedAllergensList = product.allergens
-    ? product
-      .allergens
-      .map(({allergen}) => allergen)
-      .sort((a,b) => a.id - b.id)
-      .map(({name}) => name)
-      .map((name) => purify.sanitize(name, { USE_PROFILES: { html: true } }))
-    : null;
+function isExcluded(product, exclusions) {
+  if ( exclusions.productIds.has(`${product.id}`) )
+    return true;
+  else if ( typeof product.supplier === "object" )
+    return exclusions.supplierIds.has(`${product.supplier.id}`) || exclusions.supplierNames.has(product.supplier.name);
+  else
+    return exclusions.supplierNames.has(product.supplier);
+}
 
-  let allergensString =
-    product.allergens
-      ? `<ul>${sortedAllergensList.map((s) => `\n  <li>${s}</li>`).join("")}\n</ul>`
-      : null;
+/**
+ * Unpublishes an excluded product if it was imported before.
+ *
+ * The product stays connected to the job because it is still available on LFW, this keeps it from being retired.
+ * @param {Product} product The product payload.
+ * @param {string|undefined} jobUri Job which harvested the product.
+ */
+async function unpublishExcludedProduct(product, jobUri) {
+  const existing = await findProductMeta(product);
+  if ( !existing )
+    return;
+
+  await unpublishProducts([existing.productUri]);
+  if ( jobUri ) {
+    await markProductSeen(existing.productUri, jobUri);
+    await update(`${PREFIXES}
+      INSERT DATA {
+        ${sparqlEscapeUri(jobUri)} veeakker:excludedProduct ${sparqlEscapeUri(existing.productUri)}.
+      }`);
+  }
+}
 
+/**
+ * Connects a product which is still available on LFW to the job, without harvesting its information.
+ *
+ * This keeps products which are excluded, or which failed to load, from being retired.
+ * @param {string} productUri URI of the product.
+ * @param {string} jobUri Job which found the product on LFW.
+ */
+async function markProductSeen(productUri, jobUri) {
   await update(`${PREFIXES}
     DELETE WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)}
-          veeakker:allergensAsText ?oldAllergens.
-      }
-    }
-    ${ allergensString ?
-    `;
+      ${sparqlEscapeUri(productUri)} veeakker:retiredBy ?retiringJob.
+    };
     INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)}
-          veeakker:allergensAsText
-            ${sparqlEscapeString(allergensString)}.
-      }
-    }` : ""
+      ${sparqlEscapeUri(productUri)} prov:wasGeneratedBy ${sparqlEscapeUri(jobUri)}.
     }`);
 }
 
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field Name of the changed field, eg: "name" or "website".
+ * @property {string|number|null} from Value currently in our database, null if there is none.
+ * @property {string|number|null} to Value which the harvest writes, null if it is removed.
+ */
+
+/**
+ * @typedef {Object} ProductTripleChange
+ * @property {string} subject The product or one of its resources, eg: its offering.
+ * @property {string} predicate Prefixed name of the predicate, eg: "dct:title".
+ * @property {Array<string>} from Values which the harvest removes.
+ * @property {Array<string>} to Values which the harvest adds.
+ */
 
 /**
- * Ingests the product picture if it does not exist yet or if it is forced.
- * If the picture does not exist anymore, it is removed.
+ * @typedef {Object} ChangeSet
+ * @property {Array<{lfwId: number, title: string}>} newProducts Products which do not exist yet.
+ * @property {Array<{lfwId: number, productUri: string, pickupPointId: string, changes: Array<ProductTripleChange>}>} changedProducts
+ * Existing products for which the harvest changes information.
+ * @property {Array<{lfwId: number, name: string}>} newSuppliers Suppliers which do not exist yet.
+ * @property {Array<{lfwId: number, supplierUri: string, changes: Array<FieldChange>}>} changedSuppliers Existing
+ * suppliers for which the harvest changes their profile.
+ * @property {Array<FieldConflict & {lfwId: number, productUri: string}>} conflicts Locked product fields which differ
+ * from LFW.
+ */
+
+/**
+ * Constructs an empty change set.
+ * @return {ChangeSet}
+ */
+function createChangeSet() {
+  return { newProducts: [], changedProducts: [], newSuppliers: [], changedSuppliers: [], conflicts: [] };
+}
+
+/**
+ * Appends the changes of one change set to another.
+ * @param {ChangeSet} target Change set to extend.
+ * @param {ChangeSet} source Changes to append.
+ */
+function appendChangeSet(target, source) {
+  for ( const key of Object.keys(source) )
+    target[key].push(...source[key]);
+}
+
+/**
+ * Reads the current triples of a product and of the resources a harvest of the product writes.
  *
- * The picture is downloaded when it has a different URI from the picture we have today.
- * 
+ * This covers the product itself, its pricing, offerings and thumbnail, the suppliers offering it and the supplier named
+ * in the payload.  All changes for the product are derived from this state without further queries.
  * @param {Product} product The product payload.
- * @param {string} productUri The product's URI.
+ * @return {Promise<TripleBatch>} Batch without changes, it holds no product when the product does not exist yet.
  */
-async function ensureProductPicture(product, productUri) {
-  const currentPictureIsCorrect =
-    product.image 
-    && (await query(`${PREFIXES}
-      ASK WHERE {
-        ${sparqlEscapeUri(productUri)} veeakker:thumbnail ?picture.
-        ?picture dct:source ${sparqlEscapeUri(product.image)}.
-        }`)).boolean;
-
-  if (currentPictureIsCorrect) {
-    return true;
-  } else {
-    // Remove the old picture
-    await update(`${PREFIXES}
-      DELETE {
-        ?share ?p ?o.
-      } WHERE {
-        VALUES ?p {
-          dct:source
-          nfo:fileName dct:format nfo:fileSize dbpedia:fileExtension dct:created
-        }
-        ${sparqlEscapeUri(productUri)} veeakker:thumbnail ?thumbnail.
-        ?share nie:dataSource ?thumbnail.
-        ?share ?p ?o.
-      };
-      DELETE {
-        ?file ?p ?o.
-      } WHERE {
-        VALUES ?p {
-          nfo:fileName dct:format nfo:fileSize dbpedia:fileExtension dct:created
+async function readProductState(product) {
+  const supplierId = typeof product.supplier === "object" && product.supplier.id !== undefined
+    ? `${product.supplier.id}`
+    : null;
+
+  const bindings = (await query(`${PREFIXES}
+    SELECT DISTINCT ?s ?p ?o
+    WHERE {
+      {
+        ?product a schema:Product;
+          adms:identifier ?identifier.
+        ?identifier a adms:Identifier;
+          skos:notation ${sparqlEscapeString(`${product.id}`)};
+          dct:creator <https://localfoodworks.eu/>.
+        {
+          ?product ?p ?o.
+          BIND(?product AS ?s)
+          # the harvesting jobs are only ever added and they are many
+          FILTER( ?p != prov:wasGeneratedBy )
+        } UNION {
+          ?product veeakker:singleUnitPrice|veeakker:targetUnit|veeakker:offerings|veeakker:thumbnail|food:containsIngredient ?s.
+          ?s ?p ?o.
+        } UNION {
+          ?product veeakker:offerings/(gr:includesObject|gr:hasPriceSpecification|veeakker:actionPriceSpecification) ?s.
+          ?s ?p ?o.
+        } UNION {
+          ?product veeakker:thumbnail ?file.
+          ?s nie:dataSource ?file;
+            ?p ?o.
+        } UNION {
+          ?product veeakker:offerings ?o.
+          ?s gr:offers ?o.
+          BIND(gr:offers AS ?p)
         }
-        ${sparqlEscapeUri(productUri)} veeakker:thumbnail ?s.
+      }
+      ${supplierId !== null ? `UNION {
+        ?s a gr:BusinessEntity;
+          adms:identifier ?supplierIdentifier.
+        ?supplierIdentifier dct:creator <https://localfoodworks.eu/>;
+          skos:notation ${sparqlEscapeString(supplierId)}.
+        VALUES ?p { rdf:type gr:name }
         ?s ?p ?o.
-      };
-      DELETE WHERE {
-        ${sparqlEscapeUri(productUri)} veeakker:thumbnail ?thumbnail.
-      }`);
+      }` : ""}
+    }`)).results.bindings;
 
-    if ( product.image ) {
-      // Add the new image
-      const extension = product.image.match(/[^.]+$/)[0];
-      const fileName = product.image.match(/[^/>]+$/)[0];
-
-      // Download the new picture on a new share link
-      const shareResourceUuid = uuid();
-      const shareFileName = `${shareResourceUuid}.${extension}`;
-      const shareResourceUri = `share://${shareFileName}`;
-    
-      const fileResourceUuid = uuid();
-      const fileResourceUri = `http://veeakker.be/files/${shareResourceUuid}`;
-
-      const creation = new Date();
-
-      await downloadShareFile(product.image, shareFileName);
-      const mimetype = mime.getType(`/share/${shareFileName}`);
-
-      const response = await update(`${PREFIXES}
-        INSERT DATA {
-          ${sparqlEscapeUri(productUri)}
-            veeakker:thumbnail ${sparqlEscapeUri(fileResourceUri)}.
-          ${sparqlEscapeUri(fileResourceUri)}
-            a nfo:FileDataObject;
-            dct:source ${sparqlEscapeUri(product.image)};
-            mu:uuid ${sparqlEscapeString(fileResourceUuid)};
-            nfo:fileName ${sparqlEscapeString(fileName)};
-            dct:format ${sparqlEscapeString(mimetype)};
-            # nfo:fileSize
-            dbpedia:fileExtension ${sparqlEscapeString(extension)};
-            dct:created ${sparqlEscapeDateTime(creation)}.
-          ${sparqlEscapeUri(shareResourceUri)}
-            a nfo:FileDataObject;
-            mu:uuid ${sparqlEscapeString(shareResourceUuid)};
-            nie:dataSource ${sparqlEscapeUri(fileResourceUri)};
-            nfo:fileName ${sparqlEscapeString(fileName)};
-            dct:format ${sparqlEscapeString(mimetype)};
-            # nfo:fileSize
-            dbpedia:fileExtension ${sparqlEscapeString(extension)};
-            dct:created ${sparqlEscapeDateTime(creation)}.
-        }
-      `);
-    }
-  }
+  return createTripleBatch(bindings);
 }
 
 /**
- * Ensures metadata about the product exists.
- * @param {Product} product
- * @param {string|undefined} jobUri
+ * Finds the product in a state read by readProductState.
+ * @param {TripleBatch} batch
+ * @return {string|null} URI of the product, null if it does not exist yet.
  */
-async function ensureProductMeta( product, jobUri ) {
-  let myQuery = `${PREFIXES}
-
-    SELECT ?productUri ?admsIdentifier
-    WHERE {
-      ?productUri
-        a schema:Product;
-        adms:identifier ?admsIdentifier.
-      ?admsIdentifier
-        a adms:Identifier;
-        skos:notation ${sparqlEscapeString(""+product.id)};
-        dct:creator <https://localfoodworks.eu/>.
-    }`;
-  console.log(myQuery);
-  const bindings = (await query(myQuery)).results.bindings;
-  if(bindings.length) {
-    console.log(`Found ${JSON.stringify(bindings[0])}`);
-    return {
-      productUri: bindings[0].productUri.value,
-      admsIdentifier: bindings[0].admsIdentifier.value
-    }
-  } else {
-    const productUuid = uuid();
-    const productUri = `http://veeakker.be/products/${productUuid}`;
+function productInState(batch) {
+  return currentSubjects(batch, iri("rdf:type"), uriTerm(iri("schema:Product")))[0] || null;
+}
 
-    const identifierUuid = uuid();
-    const admsIdentifier = `http://data.redpencil.io/identifiers/${identifierUuid}`;
+/**
+ * Finds the supplier of the product payload in a state read by readProductState.
+ * @param {TripleBatch} batch
+ * @return {string|null} URI of the supplier, null if it does not exist yet.
+ */
+function supplierInState(batch) {
+  return currentSubjects(batch, iri("rdf:type"), uriTerm(iri("gr:BusinessEntity")))[0] || null;
+}
 
-    await update(`${PREFIXES}
+/**
+ * Finds the offering of a product for a pickup point in a state read by readProductState.
+ *
+ * Offerings which were created before pickup points were known are returned when the pickup point has no offering.
+ * @param {TripleBatch} batch
+ * @param {string} productUri URI of the product.
+ * @param {string|null} pickupPointUri Pickup point at which the product is offered.
+ * @return {{offering: string, unassigned: boolean}|null} The offering, unassigned when it has no pickup point yet.
+ */
+function offeringInState(batch, productUri, pickupPointUri) {
+  const offerings = currentObjects(batch, productUri, iri("veeakker:offerings")).map( ({ value }) => value );
+  const locations = (offering) => currentObjects(batch, offering, iri("gr:availableAtOrFrom"));
 
-    INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)}
-          a schema:Product;
-          mu:uuid ${sparqlEscapeString(productUuid)};
-          adms:identifier ${sparqlEscapeUri(admsIdentifier)}.
-        ${sparqlEscapeUri(admsIdentifier)}
-          a adms:Identifier;
-          mu:uuid ${sparqlEscapeString(identifierUuid)};
-          skos:notation ${sparqlEscapeString("" + product.id)};
-          dct:creator <https://localfoodworks.eu/>;
-          dct:title ${sparqlEscapeString("LFW " + product.id)}.
-      }
-    }`);
+  const currentOffering = offerings.find( (offering) =>
+    locations(offering).some( ({ value }) => value == pickupPointUri ) );
+  const unassignedOffering = offerings.find( (offering) => !locations(offering).length );
 
-    console.log(`Created ${productUri} with ${admsIdentifier}`);
+  if ( currentOffering )
+    return { offering: currentOffering, unassigned: false };
+  else if ( unassignedOffering )
+    return { offering: unassignedOffering, unassigned: true };
+  else
+    return null;
+}
 
-    return {
-      productUri,
-      admsIdentifier
-    }
-  }
+/**
+ * Whether changes to the predicate only keep track of the harvest itself, rather than of the product.
+ * @param {string} predicate URI of the predicate.
+ * @return {boolean}
+ */
+function isBookkeepingPredicate(predicate) {
+  return [
+    "prov:wasGeneratedBy",
+    "veeakker:retiredBy",
+    "veeakker:lfwLabel",
+    "mu:uuid",
+    "dct:created",
+    ...PROTECTED_FIELDS.flatMap( ({ harvestedPredicate, reportedPredicate }) => [harvestedPredicate, reportedPredicate] )
+  ].some( (prefixedName) => iri(prefixedName) === predicate );
 }
 
 /**
- * Ensures basic product information is known.
- * @param {Product} product
- * @param {string} productUri
+ * Adds the changes which loading the product collected in its batch to the change set.
+ *
+ * The changes are those the harvest writes, so the change set of a dry run follows the harvest itself.
+ * @param {TripleBatch} batch State of the product with the changes of all steps, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {PickupPoint} pickupPoint Pickup point at which the product is offered.
+ * @param {ChangeSet} changes Change set to extend.
+ * @param {boolean} isNew Whether the product did not exist before the harvest.
+ * @return {"created"|"updated"|"unchanged"} Whether the harvest creates the product or changes any of its triples.
  */
- async function ensureBaseProductInfo(product, productUri) {
-  await update(`
-    ${PREFIXES}
-    DELETE {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(productUri)} ?p ?o.
-      }    
-    } WHERE {
-      GRAPH <http://mu.semte.ch/application> {
-        VALUES ?p {
-          dct:title dct:description veeakker:hasLabel veeakker:plu veeakker:sortIndex veeakker:lfwProductCanBeOrderedByFractionOfOrderUnit
-        }
-        ${sparqlEscapeUri(productUri)} ?p ?o.
-      }
-    };
-    INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        # All the information we can find.
-        ${sparqlEscapeUri(productUri)}
-          dct:title ${sparqlEscapeString(product.name || "")};
-          # TODO: for product.description we need to fetch the product detail instead
-          ${product.description ? `dct:description ${sparqlEscapeString(product.description)};` : ""}
-          veeakker:hasLabel <http://veeakker.be/labels/lfw>;
-          ${product.bio ? `veeakker:hasLabel <http://veeakker.be/labels/bio>;` : ""}
-          # veeaker:isPublic will just not be set
-          veeakker:plu ${sparqlEscapeDecimal(1000000 + product.id)};
-          veeakker:sortIndex ${sparqlEscapeDecimal(1000000 + product.id)};
-          veeakker:lfwProductCanBeOrderedByFractionOfOrderUnit ${sparqlEscapeBool(product.canBeOrderedAsFractionOfOrderUnit)}.
-      }
-    }`);
+function collectProductChanges(batch, product, pickupPoint, changes, isNew) {
+  if ( isNew ) {
+    changes.newProducts.push({ lfwId: product.id, title: product.name || "" });
+    return "created";
+  }
+
+  const tripleChanges = batchChanges(batch)
+    .filter( ({ predicate }) => !isBookkeepingPredicate(predicate) )
+    .map( ({ subject, predicate, deleted, inserted }) => ({
+      subject,
+      predicate: prefixedName(predicate),
+      from: deleted.map( ({ value }) => value ),
+      to: inserted.map( ({ value }) => value )
+    }) );
+
+  if ( tripleChanges.length )
+    changes.changedProducts.push({
+      lfwId: product.id,
+      productUri: productInState(batch),
+      pickupPointId: pickupPoint.pickupPointId,
+      changes: tripleChanges
+    });
+
+  return tripleChanges.length ? "updated" : "unchanged";
 }
 
 /**
-  * @param {Array<Product>} products
+ * Adds triples for a subject to the batch.
+ * @param {TripleBatch} batch
+ * @param {string} subject URI of the subject.
+ * @param {Array<[string, Term]>} properties Prefixed predicates with their object.
  */
-function printBasicPricingInfo(products) {
-  console.table(products.map( (product) => {
-    return {
-      measurementUnit:
-        product.pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement,
-      orderUnit:
-        product.pricing.consumerPrice.orderUnitPrice.unitOfMeasurement,
-      factor:
-        product.pricing.measurementUnitVsOrderUnitRatio
-    };
-  }));    
+function insertProperties(batch, subject, properties) {
+  for ( const [predicate, object] of properties )
+    insertTriple(batch, subject, iri(predicate), object);
 }
 
 /**
- * Constructs a new load job which can be used to link products to the job(s) that fetched them.
- * @return {Promise<string>} URI of this job.
+ * Ensures metadata about the product exists.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product
+ * @return {string} URI of the product.
  */
-async function createLoadJob() {
-  const lfwFetchJobUuid = uuid();
-  const lfwFetchJobUri = `http://veeakker.be/lfw-jobs/${lfwFetchJobUuid}`;
+function ensureProductMeta(batch, product) {
+  const existing = productInState(batch);
+  if ( existing )
+    return existing;
 
-  // TODO: veeakker:LfwFetchJob should subclass cogs:Job.
+  const productUuid = uuid();
+  const productUri = `http://veeakker.be/products/${productUuid}`;
 
-  await update(`
-    ${PREFIXES}
-    INSERT DATA {
-      GRAPH <http://mu.semte.ch/application> {
-        ${sparqlEscapeUri(lfwFetchJobUri)}
-          a veeakker:LfwFetchJob;
-          mu:uuid ${sparqlEscapeString(lfwFetchJobUuid)};
-          dct:created ${sparqlEscapeDateTime(new Date())}.
-      }
-          }`);
+  const identifierUuid = uuid();
+  const admsIdentifier = `http://data.redpencil.io/identifiers/${identifierUuid}`;
 
-  return lfwFetchJobUri;
+  insertProperties(batch, productUri, [
+    ["rdf:type", uriTerm(iri("schema:Product"))],
+    ["mu:uuid", stringTerm(productUuid)],
+    ["adms:identifier", uriTerm(admsIdentifier)]
+  ]);
+  insertProperties(batch, admsIdentifier, [
+    ["rdf:type", uriTerm(iri("adms:Identifier"))],
+    ["mu:uuid", stringTerm(identifierUuid)],
+    ["skos:notation", stringTerm(product.id)],
+    ["dct:creator", uriTerm("https://localfoodworks.eu/")],
+    ["dct:title", stringTerm(`LFW ${product.id}`)]
+  ]);
+
+  console.log(`Creating ${productUri} with ${admsIdentifier}`);
+
+  return productUri;
 }
 
 /**
- * Starts the job.
- * @param {string} jobUri Job identifier to start.
+ * Connects the product to the job.
+ *
+ * A product which was retired earlier is found on LFW again, hence it is no longer marked as retired.  Publishing it
+ * again is left to our staff.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string} productUri URI of the product to be connected.
+ * @param {string} jobUri URI of the job to which the product should be connected.
  */
-async function startJob(jobUri) {
-  await update(`
-    ${PREFIXES}
-    DELETE WHERE {
-      ${sparqlEscapeUri(jobUri)} adms:status ?status.
-    };
-    INSERT DATA {
-      ${sparqlEscapeUri(jobUri)} adms:status <http://veeakker.be/lfw-job-statusses/running>.
-    }`);
+function ensureProductJobConnection(batch, productUri, jobUri) {
+  setObjects(batch, productUri, iri("veeakker:retiredBy"), []);
+  insertTriple(batch, productUri, iri("prov:wasGeneratedBy"), uriTerm(jobUri));
 }
 
 /**
- * Stops the job.
- * @param {string} jobUri Job identifier to stop.
+ * @typedef {Object} FieldConflict
+ * @property {string} field Name of the protected field, eg: "title".
+ * @property {string|null} localValue Value in our database, null if there is none.
+ * @property {string|null} lfwValue Value in LFW which was not written, null if LFW has none.
+ * @property {boolean} reported Whether an earlier harvest reported the conflict with this LFW value already.
  */
-async function finishJob(jobUri) {
-  await update(`
-    ${PREFIXES}
-    DELETE WHERE {
-      ${sparqlEscapeUri(jobUri)} adms:status ?status.
-    };
-    INSERT DATA {
-      ${sparqlEscapeUri(jobUri)} adms:status <http://veeakker.be/lfw-job-statusses/finished>.
-    }`);
-}
 
 /**
- * Errors the job.
- * @param {string} jobUri Job identifier to error.
+ * Fields of the product which staff may edit.  The harvest stores the value it wrote for a field through its
+ * harvestedPredicate.  A field is locked when its value differs from the harvested one, because it was edited since the
+ * last harvest, or when staff lock it through veeakker:lockedField.  Locked fields are not overwritten.  The LFW value
+ * of a conflict is stored through the reportedPredicate, so a conflict is only reported again when LFW changes.
  */
-async function errorJob(jobUri) {
-  // TODO: allow comment for failed job.
-  await update(`
-    ${PREFIXES}
-    DELETE WHERE {
-      ${sparqlEscapeUri(jobUri)} adms:status ?status.
-    };
-    INSERT DATA {
-      ${sparqlEscapeUri(jobUri)} adms:status <http://veeakker.be/lfw-job-statusses/error>.
-    }`);
+const PROTECTED_FIELDS = [
+  {
+    field: "title",
+    predicate: "dct:title",
+    harvestedPredicate: "veeakker:lfwTitle",
+    reportedPredicate: "veeakker:reportedLfwTitle",
+    terms: (product) => [stringTerm(product.name || "")]
+  }, {
+    field: "description",
+    predicate: "dct:description",
+    harvestedPredicate: "veeakker:lfwDescription",
+    reportedPredicate: "veeakker:reportedLfwDescription",
+    terms: (product) => product.description ? [stringTerm(product.description)] : []
+  }, {
+    field: "plu",
+    predicate: "veeakker:plu",
+    harvestedPredicate: "veeakker:lfwPlu",
+    reportedPredicate: "veeakker:reportedLfwPlu",
+    terms: (product) => [decimalTerm(1000000 + product.id)]
+  }, {
+    field: "sortIndex",
+    predicate: "veeakker:sortIndex",
+    harvestedPredicate: "veeakker:lfwSortIndex",
+    reportedPredicate: "veeakker:reportedLfwSortIndex",
+    terms: (product) => [decimalTerm(1000000 + product.id)]
+  }
+];
+
+/**
+ * Whether two lists of objects hold the same values.
+ * @param {Array<Term>} a
+ * @param {Array<Term>} b
+ * @return {boolean}
+ */
+function sameObjects(a, b) {
+  return a.length === b.length && a.every( (term) => b.some( (other) => sameTerm(term, other) ) );
 }
 
 /**
- * Loads the suppliers by fetching the relevant document and updating their core information.
- *
- * This may, in the future, also fetch information from the suppliers' detail page.
+ * Value of a single valued field for reporting.
+ * @param {Array<Term>} terms
+ * @return {string|null}
  */
-async function loadSuppliers(jobUri) {
-  const suppliers = await ensureSuppliersPage(STORE_ID);
+function termsValue(terms) {
+  return terms.length ? terms[0].value : null;
+}
 
-  // We want to keep the URIs of the entities which already exist, hence we first ensure we have an object for each ID,
-  // then we start filling in the details.
-  for( const supplier of suppliers ) {
-    const hasSupplier = (await query(`${PREFIXES}
-    ASK {
-      ?fneBusiness a gr:BusinessEntity;
-        adms:identifier ?fneIdentifier.
-      ?fneIdentifier dct:creator <https://localfoodworks.eu/>;
-        skos:notation ${sparqlEscapeString(`${supplier.id}`)}.
+/**
+ * Compares the PROTECTED_FIELDS of the product in our database with LFW.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri The product's URI.
+ * @return {Array<{field: string, predicate: string, harvestedPredicate: string, reportedPredicate: string,
+ * desired: Array<Term>, current: Array<Term>, reported: Array<Term>, locked: boolean, conflicting: boolean}>} Each
+ * field with its value in LFW, its current value, the LFW value of its last reported conflict, whether it is locked
+ * and whether it is locked with a value which differs from LFW.
+ */
+function protectedFields(batch, product, productUri) {
+  const lockedByHand = currentObjects(batch, productUri, iri("veeakker:lockedField")).map( ({ value }) => value );
+  return PROTECTED_FIELDS.map( ({ field, predicate, harvestedPredicate, reportedPredicate, terms }) => {
+    const desired = terms(product);
+    const current = currentObjects(batch, productUri, iri(predicate));
+    const harvested = currentObjects(batch, productUri, iri(harvestedPredicate));
+    const reported = currentObjects(batch, productUri, iri(reportedPredicate));
+    const locked =
+      lockedByHand.includes(field)
+      || (harvested.length > 0 && !sameObjects(current, harvested));
+    return {
+      field, predicate, harvestedPredicate, reportedPredicate, desired, current, reported, locked,
+      conflicting: locked && !sameObjects(current, desired)
+    };
+  });
+}
+
+/**
+ * Ensures basic product information is known.
+ *
+ * Protected fields which are locked are left alone, see PROTECTED_FIELDS.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product
+ * @param {string} productUri
+ * @return {Array<FieldConflict>} Locked fields for which LFW has a different value.
+ */
+function ensureBaseProductInfo(batch, product, productUri) {
+  // TODO: for product.description we need to fetch the product detail instead
+  const conflicts = [];
+  for ( const field of protectedFields(batch, product, productUri) ) {
+    const { predicate, harvestedPredicate, reportedPredicate, desired, current, reported } = field;
+    if ( !field.locked ) {
+      setObjects(batch, productUri, iri(predicate), desired);
+      setObjects(batch, productUri, iri(harvestedPredicate), desired);
+    } else if ( !field.conflicting ) {
+      // The local value equals LFW again, later changes in LFW are written unless the field is locked by hand
+      setObjects(batch, productUri, iri(harvestedPredicate), desired);
+    } else {
+      conflicts.push({
+        field: field.field,
+        localValue: termsValue(current),
+        lfwValue: termsValue(desired),
+        reported: reported.length > 0 && sameObjects(reported, desired)
+      });
+    }
+    setObjects(batch, productUri, iri(reportedPredicate), field.conflicting ? desired : []);
+  }
+  ensureProductLabels(batch, product, productUri);
+  // veeaker:isPublic will just not be set
+  setObjects(batch, productUri, iri("veeakker:lfwProductCanBeOrderedByFractionOfOrderUnit"),
+    [booleanTerm(product.canBeOrderedAsFractionOfOrderUnit)]);
+  return conflicts;
+}
+
+/**
+ * Labels of LABEL_MAPPING which apply to the product.
+ * @param {Product} product The product payload.
+ * @return {Array<string>} URIs of the labels.
+ */
+function productLabels(product) {
+  const applies = ({ field, value }) =>
+    field === null
+    || (value === null ? Boolean(product[field]) : `${product[field]}` === value);
+  return [...new Set(LABEL_MAPPING.filter(applies).map( ({ label }) => label ))];
+}
+
+/**
+ * Ensures the product has the labels of its LFW fields.
+ *
+ * The labels set by the harvest are tracked through veeakker:lfwLabel, only those are removed when they no longer
+ * apply.  Labels which staff add by hand are left alone.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri The product's URI.
+ */
+function ensureProductLabels(batch, product, productUri) {
+  const desired = productLabels(product).map(uriTerm);
+  const harvested = currentObjects(batch, productUri, iri("veeakker:lfwLabel"));
+  const labels = currentObjects(batch, productUri, iri("veeakker:hasLabel"));
+
+  for ( const label of harvested )
+    if ( !desired.some( (term) => sameTerm(term, label) ) && labels.some( (term) => sameTerm(term, label) ) )
+      deleteTriple(batch, productUri, iri("veeakker:hasLabel"), label);
+  for ( const label of desired )
+    if ( !labels.some( (term) => sameTerm(term, label) ) )
+      insertTriple(batch, productUri, iri("veeakker:hasLabel"), label);
+  setObjects(batch, productUri, iri("veeakker:lfwLabel"), desired);
+}
+
+/**
+ * Stores the product's default pricing.
+ * This should be roughly the price per unit (which may be KG).
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri Internal identifier
+ * @param {string|undefined} jobUri Job which harvests the price.
+ * @param {Date} now Moment at which a changed price takes effect.
+ */
+function ensureProductDefaultPricing(batch, product, productUri, jobUri, now) {
+  const { euros, unit, amount } = productMeasurementPricing(product);
+  // It is less important to keep the uri for the TypeAndQuantityNode in this case but we'll try to keep it as an
+  // exercise.  The UnitPriceSpecification is only replaced when the price changes so we keep a price history.
+
+  ensureCurrentPriceSpecification(batch, {
+    subject: productUri,
+    predicate: "veeakker:singleUnitPrice",
+    formerPredicate: "veeakker:formerSingleUnitPrice",
+    euros,
+    unit,
+    jobUri,
+    now
+  });
+  const targetUnitResource = ensureTargetUnitResource(batch, productUri);
+
+  setObjects(batch, targetUnitResource, iri("gr:hasUnitOfMeasurement"), [stringTerm(unit)]);
+  setObjects(batch, targetUnitResource, iri("gr:hasValue"), [decimalTerm(amount)]);
+}
+
+/**
+ * @typedef {Object} UnitMapping
+ * @property {string} unit CEFACT unit as used in webshop.
+ * @property {number} factor How many of the CEFACT unit one LFW unit is, eg: 0.001 for grams in KGM.
+ */
+
+/**
+ * LFW units of measurement by their lowercase name.  Units which are a fraction or a multiple of a unit of the webshop
+ * are normalized to it.
+ * @type {Object<string, UnitMapping>}
+ */
+const LFW_UNITS = {
+  "kg": { unit: "KGM", factor: 1 },
+  "g": { unit: "KGM", factor: 0.001 },
+  "gr": { unit: "KGM", factor: 0.001 },
+  "l": { unit: "LTR", factor: 1 },
+  "cl": { unit: "LTR", factor: 0.01 },
+  "ml": { unit: "LTR", factor: 0.001 },
+  "stk": { unit: "C62", factor: 1 },
+  "dozijn": { unit: "C62", factor: 12 },
+  "dozen": { unit: "C62", factor: 12 },
+  "pak": { unit: "PK", factor: 1 },
+  "pack": { unit: "PK", factor: 1 }
+};
+
+/**
+ * An LFW unit of measurement which has no counterpart in the webshop.
+ */
+class UnknownUnitError extends Error {
+  /**
+   * @param {string} unit The LFW unit.
+   */
+  constructor(unit) {
+    super(`Could not translate unit "${unit}", known units are ${Object.keys(LFW_UNITS).join(", ")}`);
+    this.name = "UnknownUnitError";
+    this.unit = unit;
+  }
+}
+
+/**
+ * Convert an LFW unit to a CEFACT unit.
+ * @param {string} unit Unit to be converted.
+ * @return {UnitMapping} CEFACT unit as used in webshop and the factor to normalize amounts in the LFW unit to it.
+ * @throws {UnknownUnitError} When the unit is not known.
+ */
+function convertLfwUnitToCEFACT(unit) {
+  const mapping = LFW_UNITS[`${unit}`.trim().toLowerCase()];
+  if ( !mapping )
+    throw new UnknownUnitError(unit);
+  return mapping;
+}
+
+/**
+ * Rounds away the floating point noise of normalizing amounts.
+ * @param {number} value
+ * @return {number}
+ */
+function roundNormalized(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * The price of a product per unit of measurement, normalized to the units of the webshop.
+ *
+ * eg: 0.02 EUR per g for 500 g per ordered unit becomes 20 EUR per KGM for 0.5 KGM per ordered unit.
+ * @param {Product} product The product payload.
+ * @return {{euros: number, unit: string, amount: number}} Price per unit and how much of the unit one ordered unit is.
+ * @throws {UnknownUnitError} When the unit of the product is not known.
+ */
+function productMeasurementPricing(product) {
+  const { money, unitOfMeasurement } = product.pricing.consumerPrice.measurementUnitPrice;
+  const { unit, factor } = convertLfwUnitToCEFACT(unitOfMeasurement);
+  return {
+    euros: roundNormalized(money.amount / factor),
+    unit,
+    amount: roundNormalized(product.pricing.measurementUnitVsOrderUnitRatio * factor)
+  };
+}
+
+/**
+ * Ensures the current price specification of a subject carries the given price.
+ *
+ * Price specifications are not overwritten when the price changes.  The current one is closed with gr:validThrough
+ * and kept through formerPredicate, a new one valid from now takes its place through predicate.
+ * @param {TripleBatch} batch State of the subject and its current price specification.
+ * @param {Object} specification
+ * @param {string} specification.subject URI of the product or offering.
+ * @param {string} specification.predicate Prefixed predicate linking the current price specification.
+ * @param {string} specification.formerPredicate Prefixed predicate linking earlier price specifications.
+ * @param {number} specification.euros The price.
+ * @param {string} specification.unit CEFACT unit of the price.
+ * @param {string|undefined} specification.jobUri Job which harvested the price.
+ * @param {Date} specification.now Moment at which a changed price takes effect.
+ * @return {string} URI of the current price specification.
+ */
+function ensureCurrentPriceSpecification(batch, { subject, predicate, formerPredicate, euros, unit, jobUri, now }) {
+  const priceSpecifications = currentObjects(batch, subject, iri(predicate)).map( ({ value }) => value );
+  const hasOnly = (priceSpecification, property, expected) => {
+    const values = currentObjects(batch, priceSpecification, iri(property));
+    return values.length > 0 && values.every( (value) => sameTerm(value, expected) );
+  };
+
+  const isCurrent =
+    priceSpecifications.length === 1
+    && hasOnly(priceSpecifications[0], "gr:hasCurrencyValue", decimalTerm(euros))
+    && hasOnly(priceSpecifications[0], "gr:hasUnitOfMeasurement", stringTerm(unit));
+
+  if ( isCurrent )
+    return priceSpecifications[0];
+
+  for ( const formerPriceSpecification of priceSpecifications ) {
+    deleteTriple(batch, subject, iri(predicate), uriTerm(formerPriceSpecification));
+    insertTriple(batch, subject, iri(formerPredicate), uriTerm(formerPriceSpecification));
+    insertTriple(batch, formerPriceSpecification, iri("gr:validThrough"), dateTimeTerm(now));
+  }
+
+  const priceSpecificationUuid = uuid();
+  const priceSpecificationUri = `http://veeakker.be/price-specifications/${priceSpecificationUuid}`;
+
+  insertTriple(batch, subject, iri(predicate), uriTerm(priceSpecificationUri));
+  insertProperties(batch, priceSpecificationUri, [
+    ["rdf:type", uriTerm(iri("gr:UnitPriceSpecification"))],
+    ["mu:uuid", stringTerm(priceSpecificationUuid)],
+    ["gr:hasUnitOfMeasurement", stringTerm(unit)],
+    ["gr:hasCurrencyValue", decimalTerm(euros)],
+    ...(jobUri ? [["prov:wasGeneratedBy", uriTerm(jobUri)]] : []),
+    ["gr:validFrom", dateTimeTerm(now)]
+  ]);
+
+  return priceSpecificationUri;
+}
+
+/**
+ * Ensures a QuantitativeValue resource exists for targetUnit.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string} productUri
+ * @return {string} Uri of the relationship to the veeakker:targetUnit.
+ */
+function ensureTargetUnitResource(batch, productUri) {
+  const current = currentObject(batch, productUri, iri("veeakker:targetUnit"));
+  if ( current )
+    return current.value;
+
+  const quantitativeValueUuid = uuid();
+  const quantitativeValueUri = `http://veeakker.be/quantitative-values/${quantitativeValueUuid}`;
+  insertTriple(batch, productUri, iri("veeakker:targetUnit"), uriTerm(quantitativeValueUri));
+  insertProperties(batch, quantitativeValueUri, [
+    ["rdf:type", uriTerm(iri("gr:QuantitativeValue"))],
+    ["mu:uuid", stringTerm(quantitativeValueUuid)]
+  ]);
+  return quantitativeValueUri;
+}
+
+/**
+ * @typedef OfferingResources
+ * @property {string} offering Resource of the offering.
+ * @property {string} typeAndQuantity Resource of the type and quantity.
+ * @property {string} unitPrice Resource of the unit price specification.
+ */
+
+/**
+ * Stores the product's pricing.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri Internal identifier
+ * @param {string} pickupPointUri Pickup point at which the product is offered.
+ * @param {string|undefined} jobUri Job which harvests the price.
+ * @param {Date} now Moment at which a changed price takes effect.
+ * @return {OfferingResources}
+ */
+function ensureProductOffers(batch, product, productUri, pickupPointUri, jobUri, now) {
+  // We assume there's one product offering per pickup point
+  const offering = ensureOffering(batch, productUri, pickupPointUri);
+  const typeAndQuantity = ensureOfferingTypeAndQuantity(batch, offering);
+  const euros = product.pricing.consumerPrice.orderUnitPrice.money.amount;
+  const unitPrice = ensureCurrentPriceSpecification(batch, {
+    subject: offering,
+    predicate: "gr:hasPriceSpecification",
+    formerPredicate: "veeakker:formerPriceSpecification",
+    euros,
+    unit: "C62",
+    jobUri,
+    now
+  });
+
+  // When looking at this it turns out there is limited reasoning to be made,
+  // the orderUnit is not very relevant for our case.  Even when a "piece" is
+  // ordered, this boils down to one time the unit weight.
+
+  const { amount, unit } = productMeasurementPricing(product);
+
+  setObjects(batch, typeAndQuantity, iri("gr:amountOfThisGood"), [decimalTerm(amount)]);
+  setObjects(batch, typeAndQuantity, iri("gr:hasUnitOfMeasurement"), [stringTerm(unit)]);
+  setObjects(batch, typeAndQuantity, iri("gr:typeOfGood"), [uriTerm(productUri)]);
+
+  ensureOfferingAvailability(batch, product, offering);
+  ensureOfferingActionPrice(batch, product, offering, jobUri);
+
+  return { offering, typeAndQuantity, unitPrice };
+}
+
+// Label of promotions for which LFW does not supply one.
+const DEFAULT_PROMOTION_LABEL = process.env.DEFAULT_PROMOTION_LABEL || "Actie";
+
+/**
+ * Parses a moment of an LFW payload.
+ *
+ * A date without time is a day in the service's timezone, it stands for the start or the end of that day.
+ * @param {string|null|undefined} value Date or date and time.
+ * @param {{endOfDay?: boolean}} [options] Use the end of the day for a date without time.
+ * @return {Date|null} The moment, null when it is missing or invalid.
+ */
+function optionalDate(value, { endOfDay = false } = {}) {
+  const day = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  let date = null;
+  if ( day ) {
+    const [, year, month, dayOfMonth] = day.map( (part) => parseInt(part) );
+    date = endOfDay
+      ? new Date(year, month - 1, dayOfMonth, 23, 59, 59, 999)
+      : new Date(year, month - 1, dayOfMonth);
+  } else if ( value ) {
+    date = new Date(value);
+  }
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Stores the LFW action price as a promotion of the offering, next to its regular price.
+ *
+ * The promotion is a price specification with its validity period and a label through veeakker:actionPriceSpecification.
+ * It is replaced when the action price changes and removed when LFW no longer has one.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} offeringUri The offering of the product at the pickup point.
+ * @param {string|undefined} jobUri Job which harvests the price.
+ */
+function ensureOfferingActionPrice(batch, product, offeringUri, jobUri) {
+  const actionPrice = product.pricing.consumerPrice.consumerActionPrice;
+  const current = currentObjects(batch, offeringUri, iri("veeakker:actionPriceSpecification")).map( ({ value }) => value );
+
+  let desired = [];
+  if ( actionPrice && actionPrice.money ) {
+    const validFrom = optionalDate(actionPrice.validFrom);
+    const validThrough = optionalDate(actionPrice.validTo, { endOfDay: true });
+    desired = [
+      ["rdf:type", uriTerm(iri("gr:UnitPriceSpecification"))],
+      ["gr:hasCurrencyValue", decimalTerm(actionPrice.money.amount)],
+      ["gr:hasUnitOfMeasurement", stringTerm("C62")],
+      ["veeakker:promotionLabel", stringTerm(actionPrice.label || DEFAULT_PROMOTION_LABEL)],
+      ...(validFrom ? [["gr:validFrom", dateTimeTerm(validFrom)]] : []),
+      ...(validThrough ? [["gr:validThrough", dateTimeTerm(validThrough)]] : [])
+    ];
+  }
+
+  const matches = (priceSpecification) =>
+    ["gr:hasCurrencyValue", "gr:hasUnitOfMeasurement", "veeakker:promotionLabel", "gr:validFrom", "gr:validThrough"]
+      .every( (predicate) => {
+        const expected = desired.filter( ([desiredPredicate]) => desiredPredicate === predicate ).map( ([, term]) => term );
+        const actual = currentObjects(batch, priceSpecification, iri(predicate));
+        return expected.length === actual.length
+          && expected.every( (term) => actual.some( (object) => sameTerm(object, term) ) );
+      } );
+
+  if ( desired.length && current.length === 1 && matches(current[0]) )
+    return;
+
+  for ( const priceSpecification of current ) {
+    deleteTriple(batch, offeringUri, iri("veeakker:actionPriceSpecification"), uriTerm(priceSpecification));
+    deleteSubject(batch, priceSpecification);
+  }
+
+  if ( desired.length ) {
+    const priceSpecificationUuid = uuid();
+    const priceSpecificationUri = `http://veeakker.be/price-specifications/${priceSpecificationUuid}`;
+    insertTriple(batch, offeringUri, iri("veeakker:actionPriceSpecification"), uriTerm(priceSpecificationUri));
+    insertProperties(batch, priceSpecificationUri, [
+      ...desired,
+      ["mu:uuid", stringTerm(priceSpecificationUuid)],
+      ...(jobUri ? [["prov:wasGeneratedBy", uriTerm(jobUri)]] : [])
+    ]);
+  }
+}
+
+/**
+ * Stores when and whether the offering can be ordered and picked up.  Fields which are not in the payload are removed.
+ *
+ * The order deadline is the last day of gr:availabilityEnds, the first pickup day is veeakker:earliestPickUpDate.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} offeringUri The offering of the product at the pickup point.
+ */
+function ensureOfferingAvailability(batch, product, offeringUri) {
+  const optional = (value, term) => value === undefined || value === null ? [] : [term(value)];
+  setObjects(batch, offeringUri, iri("gr:availabilityEnds"), optional(product.latestOrderDate, dateTerm));
+  setObjects(batch, offeringUri, iri("veeakker:earliestPickUpDate"), optional(product.earliestPickUpDate, dateTerm));
+  setObjects(batch, offeringUri, iri("veeakker:available"), optional(product.available, booleanTerm));
+  setObjects(batch, offeringUri, iri("veeakker:deliverable"), optional(product.deliverable, booleanTerm));
+}
+
+/**
+ * The date of a moment in the service's timezone.
+ * @param {Date} date
+ * @return {string} Date as YYYY-MM-DD.
+ */
+function localDateString(date) {
+  const pad = (number) => `${number}`.padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @typedef {Object} UnorderableOffering
+ * @property {string} uuid mu:uuid of the offering.
+ * @property {string} product URI of the product.
+ * @property {string} productUuid mu:uuid of the product.
+ * @property {string} lfwId LFW identifier of the product.
+ * @property {string|null} title Name of the product.
+ * @property {string|null} pickupPoint URI of the pickup point of the offering.
+ * @property {string|null} latestOrderDate Last day on which the product could be ordered.
+ * @property {string|null} earliestPickUpDate First day on which the product can be picked up.
+ * @property {boolean|null} available Whether LFW has the product available.
+ * @property {boolean|null} deliverable Whether LFW can deliver the product.
+ */
+
+/**
+ * Lists the offerings of LFW products which can not be ordered today, because their order deadline has passed or
+ * because LFW marks them as unavailable or undeliverable.
+ * @param {Date} [now] Moment at which the products would be ordered.
+ * @return {Promise<Array<UnorderableOffering>>}
+ */
+async function fetchUnorderableOfferings(now = new Date()) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT DISTINCT ?offering ?uuid ?product ?productUuid ?lfwId ?title ?pickupPoint ?latestOrderDate ?earliestPickUpDate ?available ?deliverable
+    WHERE {
+      ?product a schema:Product;
+        mu:uuid ?productUuid;
+        veeakker:offerings ?offering;
+        adms:identifier ?identifier.
+      ?identifier skos:notation ?lfwId;
+        dct:creator <https://localfoodworks.eu/>.
+      ?offering mu:uuid ?uuid.
+      OPTIONAL { ?product dct:title ?title. }
+      OPTIONAL { ?offering gr:availableAtOrFrom ?pickupPoint. }
+      OPTIONAL { ?offering gr:availabilityEnds ?latestOrderDate. }
+      OPTIONAL { ?offering veeakker:earliestPickUpDate ?earliestPickUpDate. }
+      OPTIONAL { ?offering veeakker:available ?available. }
+      OPTIONAL { ?offering veeakker:deliverable ?deliverable. }
+      FILTER(
+        ( BOUND(?latestOrderDate) && STR(?latestOrderDate) < ${sparqlEscapeString(localDateString(now))} )
+        || ( BOUND(?available) && !?available )
+        || ( BOUND(?deliverable) && !?deliverable )
+      )
+    } ORDER BY ?title`)).results.bindings;
+
+  const optional = (binding) => binding ? binding.value : null;
+  const optionalBoolean = (binding) => binding ? ["true", "1"].includes(binding.value) : null;
+  return bindings.map( (binding) => ({
+    uuid: binding.uuid.value,
+    product: binding.product.value,
+    productUuid: binding.productUuid.value,
+    lfwId: binding.lfwId.value,
+    title: optional(binding.title),
+    pickupPoint: optional(binding.pickupPoint),
+    latestOrderDate: optional(binding.latestOrderDate),
+    earliestPickUpDate: optional(binding.earliestPickUpDate),
+    available: optionalBoolean(binding.available),
+    deliverable: optionalBoolean(binding.deliverable)
+  }) );
+}
+
+/**
+ * Ensures the offering resource for the pickup point exists.
+ *
+ * Offerings which were created before pickup points were known are claimed by the first pickup point that needs one.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string} productUri Uri of the product.
+ * @param {string} pickupPointUri Uri of the pickup point at which the product is offered.
+ * @return {string} URI of the offering.
+ */
+function ensureOffering(batch, productUri, pickupPointUri) {
+  const existing = offeringInState(batch, productUri, pickupPointUri);
+
+  if ( existing && !existing.unassigned ) {
+    return existing.offering;
+  } else if ( existing ) {
+    insertTriple(batch, existing.offering, iri("gr:availableAtOrFrom"), uriTerm(pickupPointUri));
+    return existing.offering;
+  } else {
+    const offeringUuid = uuid();
+    const offeringUri = `http://veeakker.be/offerings/${offeringUuid}`;
+
+    insertTriple(batch, productUri, iri("veeakker:offerings"), uriTerm(offeringUri));
+    insertProperties(batch, offeringUri, [
+      ["rdf:type", uriTerm(iri("gr:Offering"))],
+      ["mu:uuid", stringTerm(offeringUuid)],
+      ["gr:availableAtOrFrom", uriTerm(pickupPointUri)]
+    ]);
+
+    return offeringUri;
+  }
+}
+
+/**
+ * Ensures the Offering's typeAndQuantity exists.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string} offeringUri
+ * @return {string} typeAndQuantity resource.
+ */
+function ensureOfferingTypeAndQuantity(batch, offeringUri) {
+  const current = currentObject(batch, offeringUri, iri("gr:includesObject"));
+  if ( current )
+    return current.value;
+
+  const typeAndQuantityUuid = uuid();
+  const typeAndQuantityUri = `http://veeakker.be/type-and-quantities/${typeAndQuantityUuid}`;
+
+  insertTriple(batch, offeringUri, iri("gr:includesObject"), uriTerm(typeAndQuantityUri));
+  insertProperties(batch, typeAndQuantityUri, [
+    ["rdf:type", uriTerm(iri("gr:TypeAndQuantityNode"))],
+    ["mu:uuid", stringTerm(typeAndQuantityUuid)]
+  ]);
+
+  return typeAndQuantityUri;
+}
+
+/**
+ * Names of the product's ingredients in the order in which they are listed.
+ * @param {Product} product The product payload.
+ * @return {Array<string>|null} The names or null if the ingredients are not in the payload.
+ */
+function productIngredientNames(product) {
+  return product.ingredients
+    ? [...product.ingredients]
+      .sort((a,b) => a.position - b.position)
+      .map(({name}) => name)
+    : null;
+}
+
+/**
+ * Renders the product ingredients as an HTML list.
+ * @param {Product} product The product payload.
+ * @return {string|null} The ingredients or null if they are not in the payload.
+ */
+function productIngredientsAsText(product) {
+  let sortedIngredientsList = product.ingredients
+    ? productIngredientNames(product)
+      .map((name) => purify.sanitize(name, { USE_PROFILES: { html: true } }))
+    : null;
+
+  let ingredientsString =
+    product.ingredients
+      // TODO: perform HTML escaping
+      ? `<ul>${sortedIngredientsList.map((s) => `\n  <li>${s}</li>`).join("")}\n</ul>`
+      : null;
+
+  return ingredientsString;
+}
+
+/**
+ * Ingests the product ingredients if they're in the payload.
+ * If they are not in the payload, they are removed.
+ *
+ * Each ingredient is a resource with its position in the list, the HTML list is kept for existing frontends.  The
+ * ingredient resources are only replaced when the list changes.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri The product's URI.
+ */
+function ensureProductIngredients(batch, product, productUri) {
+  const ingredientsString = productIngredientsAsText(product);
+  setObjects(batch, productUri, iri("food:ingredientListAsText"),
+    ingredientsString ? [stringTerm(ingredientsString)] : []);
+
+  const names = productIngredientNames(product) || [];
+  const value = (subject, predicate) => {
+    const term = currentObject(batch, subject, iri(predicate));
+    return term ? term.value : null;
+  };
+  const current = currentObjects(batch, productUri, iri("food:containsIngredient"))
+    .map( ({ value: uri }) => ({ uri, name: value(uri, "dct:title"), position: parseInt(value(uri, "schema:position")) }) )
+    .sort( (a, b) => a.position - b.position );
+
+  const isCurrent =
+    current.length === names.length
+    && current.every( ({ name, position }, index) => name === names[index] && position === index + 1 );
+  if ( isCurrent )
+    return;
+
+  for ( const { uri } of current ) {
+    deleteTriple(batch, productUri, iri("food:containsIngredient"), uriTerm(uri));
+    deleteSubject(batch, uri);
+  }
+  names.forEach( (name, index) => {
+    const ingredientUuid = uuid();
+    const ingredientUri = `http://veeakker.be/ingredients/${ingredientUuid}`;
+    insertTriple(batch, productUri, iri("food:containsIngredient"), uriTerm(ingredientUri));
+    insertProperties(batch, ingredientUri, [
+      ["rdf:type", uriTerm(iri("food:Ingredient"))],
+      ["mu:uuid", stringTerm(ingredientUuid)],
+      ["dct:title", stringTerm(name)],
+      ["schema:position", integerTerm(index + 1)]
+    ]);
+  });
+}
+
+const ALLERGEN_CONCEPT_SCHEME = "http://veeakker.be/concept-schemes/allergens";
+
+/**
+ * The 14 allergens regulated by the EU (Regulation 1169/2011, Annex II) with the names under which they are known.
+ *
+ * LFW does not document its allergen identifiers, so allergens are recognised by their name.  The names are the Dutch
+ * and English names of Annex II and their common short forms, compared through normalizeAllergenName.  Identifiers
+ * which are known can be configured with LFW_ALLERGEN_IDS instead.
+ */
+const EU_ALLERGENS = [
+  { key: "gluten", label: "Glutenbevattende granen",
+    names: ["glutenbevattende granen", "granen die gluten bevatten", "glutenhoudende granen", "gluten", "cereals containing gluten"] },
+  { key: "crustaceans", label: "Schaaldieren", names: ["schaaldieren", "crustaceans"] },
+  { key: "eggs", label: "Eieren", names: ["eieren", "ei", "eggs", "egg"] },
+  { key: "fish", label: "Vis", names: ["vis", "fish"] },
+  { key: "peanuts", label: "Pinda's", names: ["pindas", "pinda", "aardnoten", "peanuts", "peanut"] },
+  { key: "soybeans", label: "Soja", names: ["soja", "sojabonen", "soy", "soybeans"] },
+  { key: "milk", label: "Melk", names: ["melk", "milk"] },
+  { key: "nuts", label: "Noten", names: ["noten", "schaalvruchten", "nuts", "tree nuts"] },
+  { key: "celery", label: "Selderij", names: ["selderij", "celery"] },
+  { key: "mustard", label: "Mosterd", names: ["mosterd", "mustard"] },
+  { key: "sesame", label: "Sesamzaad", names: ["sesamzaad", "sesam", "sesame", "sesame seeds"] },
+  { key: "sulphites", label: "Zwaveldioxide en sulfieten",
+    names: ["zwaveldioxide en sulfieten", "zwaveldioxide", "sulfieten", "sulphur dioxide and sulphites", "sulphites", "sulfites"] },
+  { key: "lupin", label: "Lupine", names: ["lupine", "lupin"] },
+  { key: "molluscs", label: "Weekdieren", names: ["weekdieren", "molluscs", "mollusks"] }
+].map( (allergen) => ({ ...allergen, uri: `http://veeakker.be/allergens/${allergen.key}` }) );
+
+/**
+ * Normalizes an allergen name for comparison, ignoring case, accents, punctuation and explanations between brackets.
+ * @param {string} name Name of the allergen. eg: "Pinda's (aardnoten)"
+ * @return {string} The normalized name. eg: "pindas"
+ */
+function normalizeAllergenName(name) {
+  return `${name || ""}`
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/['\u2019]/g, "")
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+}
+
+/**
+ * Parses the configured LFW allergen identifiers.
+ * @param {string} configuration Comma separated id=key pairs. eg: "7=milk,1=gluten"
+ * @return {Map<string,Object>} EU allergen by LFW identifier.
+ */
+function parseAllergenIds(configuration) {
+  const allergenIds = new Map();
+  for ( const entry of configuration.split(",").map( (entry) => entry.trim() ).filter( (entry) => entry ) ) {
+    const [id, key] = entry.split("=").map( (part) => part.trim() );
+    const allergen = EU_ALLERGENS.find( (allergen) => allergen.key === key );
+    if ( !id || !allergen )
+      throw `Could not parse allergen identifier "${entry}", expected "lfwId=key" with key one of ${EU_ALLERGENS.map( ({ key }) => key ).join(", ")}`;
+    allergenIds.set(id, allergen);
+  }
+  return allergenIds;
+}
+
+const LFW_ALLERGEN_IDS = parseAllergenIds(process.env.LFW_ALLERGEN_IDS || "");
+
+/**
+ * Finds the EU allergen of an LFW allergen, first by its configured identifier and then by its name.
+ * @param {{id: number, name: string}} allergen Allergen of the LFW payload.
+ * @return {Object|undefined} The EU allergen, undefined when it is not one of them.
+ */
+function findEuAllergen({ id, name }) {
+  const normalizedName = normalizeAllergenName(name);
+  return LFW_ALLERGEN_IDS.get(`${id}`)
+    || EU_ALLERGENS.find( ({ names }) => names.includes(normalizedName) );
+}
+
+/**
+ * Stores the concept scheme of the EU allergens.  The triples are the same each time so this can run on every start.
+ * @return {Promise}
+ */
+async function ensureAllergenConceptScheme() {
+  await update(`${PREFIXES}
+    INSERT DATA {
+      ${sparqlEscapeUri(ALLERGEN_CONCEPT_SCHEME)}
+        a skos:ConceptScheme;
+        mu:uuid "allergens";
+        skos:prefLabel "Allergenen".
+      ${EU_ALLERGENS.map( ({ key, label, uri }) => `
+      ${sparqlEscapeUri(uri)}
+        a skos:Concept;
+        mu:uuid ${sparqlEscapeString(`allergen-${key}`)};
+        skos:prefLabel ${sparqlEscapeString(label)};
+        skos:inScheme ${sparqlEscapeUri(ALLERGEN_CONCEPT_SCHEME)};
+        skos:topConceptOf ${sparqlEscapeUri(ALLERGEN_CONCEPT_SCHEME)}.` ).join("")}
+    }`);
+}
+
+/**
+ * Renders the product allergens as an HTML list.
+ * @param {Product} product The product payload.
+ * @return {string|null} The allergens or null if they are not in the payload.
+ */
+function productAllergensAsText(product) {
+  let sortedAllergensList = product.allergens
+    ? product
+      .allergens
+      .map(({allergen}) => allergen)
+      .sort((a,b) => a.id - b.id)
+      .map(({name}) => name)
+      .map((name) => purify.sanitize(name, { USE_PROFILES: { html: true } }))
+    : null;
+
+  let allergensString =
+    product.allergens
+      ? `<ul>${sortedAllergensList.map((s) => `\n  <li>${s}</li>`).join("")}\n</ul>`
+      : null;
+
+  return allergensString;
+}
+
+/**
+ * Ingests the product allergens if they're in the payload.
+ * If they are not in the payload, they are removed.
+ *
+ * Allergens are linked to their concept in the EU allergens scheme, the HTML list is kept for existing frontends.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri The product's URI.
+ * @return {Array<{id: number, name: string}>} Allergens of the payload which are not in the EU allergens scheme.
+ */
+function ensureProductAllergens(batch, product, productUri) {
+  const allergensString = productAllergensAsText(product);
+  setObjects(batch, productUri, iri("veeakker:allergensAsText"),
+    allergensString ? [stringTerm(allergensString)] : []);
+
+  const allergens = (product.allergens || []).map( ({ allergen }) => allergen );
+  const concepts = new Set(allergens.map(findEuAllergen).filter( (concept) => concept ).map( ({ uri }) => uri ));
+  setObjects(batch, productUri, iri("veeakker:hasAllergen"), [...concepts].map(uriTerm));
+
+  return allergens.filter( (allergen) => !findEuAllergen(allergen) );
+}
+
+
+/**
+ * Ingests the product picture if it does not exist yet or if it is forced.
+ * If the picture does not exist anymore, it is removed.
+ *
+ * The picture is downloaded when it has a different URI from the picture we have today.
+ *
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {Product} product The product payload.
+ * @param {string} productUri The product's URI.
+ * @param {string} jobUri Job which is harvesting the product.
+ * @param {{dryRun?: boolean}} [options] See ensurePicture.
+ * @return {Promise<Array<string>>} Share resources which are dropped, see ensurePicture.
+ */
+async function ensureProductPicture(batch, product, productUri, jobUri, options = {}) {
+  return await ensurePicture(batch, productUri, product.image, jobUri, options);
+}
+
+/**
+ * Ingests the thumbnail of a resource as a file on a share link, in its own update.
+ * If the image is not supplied, the current thumbnail is removed.
+ *
+ * @param {string} subjectUri The resource to which the thumbnail belongs.
+ * @param {string|null|undefined} image URL of the image.
+ * @param {string} [jobUri] Job to warn when the image is rejected.  A job warns once for a picture which failed, the
+ * resources which share it keep their current thumbnail without trying it again.
+ */
+async function ensureThumbnail(subjectUri, image, jobUri) {
+  const warningSubject = `picture-${image}`;
+  if ( image && jobWarnedAbout(jobUri, warningSubject) )
+    return;
+
+  const batch = createTripleBatch((await query(`${PREFIXES}
+    SELECT ?s ?p ?o
+    WHERE {
+      {
+        VALUES ?p { veeakker:thumbnail }
+        ${sparqlEscapeUri(subjectUri)} ?p ?o.
+        BIND(${sparqlEscapeUri(subjectUri)} AS ?s)
+      } UNION {
+        ${sparqlEscapeUri(subjectUri)} veeakker:thumbnail ?s.
+        ?s ?p ?o.
+      } UNION {
+        ${sparqlEscapeUri(subjectUri)} veeakker:thumbnail ?file.
+        ?s nie:dataSource ?file;
+          ?p ?o.
+      }
+    }`)).results.bindings);
+
+  const droppedShareFiles = await ensurePicture(batch, subjectUri, image, jobUri, {
+    warn: (message) => warnJobOnce(jobUri, warningSubject, message)
+  });
+  await applyTripleBatch(batch);
+  removeShareFiles(droppedShareFiles);
+}
+
+/**
+ * Ingests the thumbnail of a resource as a file on a share link.
+ * If the image is not supplied, the current thumbnail is removed.
+ *
+ * The picture is downloaded when it has a different URI from the picture we have today.  The batch must hold the
+ * triples of the current thumbnail and of the share files derived from it.
+ *
+ * @param {TripleBatch} batch State of the resource.
+ * @param {string} subjectUri The resource to which the thumbnail belongs.
+ * @param {string|null|undefined} image URL of the image.
+ * @param {string} [jobUri] Job to warn when the image is rejected or can not be downloaded, the current picture is
+ * kept in that case.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] Do not download the image, only link the new file resource with its source so the
+ * batch shows which picture would replace the current one.  The batch of a dry run must not be written.
+ * @param {(message: string) => Promise} [options.warn] Warns about a picture which is kept.  Defaults to warning the job.
+ * @return {Promise<Array<string>>} Share resources which are dropped, their files should be removed once the batch is
+ * written.
+ */
+async function ensurePicture(batch, subjectUri, image, jobUri,
+  { dryRun = false, warn = (message) => warnJob(jobUri, message) } = {}) {
+  const thumbnails = currentObjects(batch, subjectUri, iri("veeakker:thumbnail"));
+  const currentPictureIsCorrect =
+    image
+    && thumbnails.some( (thumbnail) =>
+      currentObjects(batch, thumbnail.value, iri("dct:source")).some( ({ value }) => value === image ) );
+
+  if (currentPictureIsCorrect)
+    return [];
+
+  let newPicture = null;
+  if ( image && dryRun ) {
+    newPicture = { fileResourceUri: `http://veeakker.be/files/${uuid()}` };
+  } else if ( image ) {
+    // Download the new picture on a new share link, nothing is written when this fails
+    const shareResourceUuid = uuid();
+    let download;
+    try {
+      download = await downloadShareImage(image, `${SHARE_FILE_PREFIX}${shareResourceUuid}`);
+    } catch (e) {
+      // a broken picture should not keep the rest of the resource from being updated
+      if ( !(e instanceof InvalidImageError || e instanceof LfwRequestError) )
+        throw e;
+      await warn(`${e.message}, the current picture of ${subjectUri} is kept`);
+      return [];
+    }
+    const { fileName: shareFileName, extension, size, mimeType } = download;
+    const shareResourceUri = `share://${shareFileName}`;
+    const fileName = new URL(image).pathname.match(/[^/]*$/)[0] || shareFileName;
+
+    const fileResourceUuid = uuid();
+    const fileResourceUri = `http://veeakker.be/files/${shareResourceUuid}`;
+
+    newPicture = {
+      extension, fileName, shareResourceUuid, shareResourceUri, fileResourceUuid, fileResourceUri, size, mimeType
+    };
+  }
+
+  // Remove the old picture
+  const droppedShareFiles = [];
+  for ( const thumbnail of thumbnails ) {
+    deleteTriple(batch, subjectUri, iri("veeakker:thumbnail"), thumbnail);
+    deleteSubject(batch, thumbnail.value);
+    for ( const share of currentSubjects(batch, iri("nie:dataSource"), thumbnail) ) {
+      deleteSubject(batch, share);
+      droppedShareFiles.push(share);
+    }
+  }
+
+  if ( newPicture && dryRun ) {
+    insertTriple(batch, subjectUri, iri("veeakker:thumbnail"), uriTerm(newPicture.fileResourceUri));
+    insertTriple(batch, newPicture.fileResourceUri, iri("dct:source"), uriTerm(image));
+  } else if ( newPicture ) {
+    // Add the new image
+    const creation = new Date();
+    const fileProperties = [
+      ["rdf:type", uriTerm(iri("nfo:FileDataObject"))],
+      ["nfo:fileName", stringTerm(newPicture.fileName)],
+      ["dct:format", stringTerm(newPicture.mimeType)],
+      ["nfo:fileSize", integerTerm(newPicture.size)],
+      ["dbpedia:fileExtension", stringTerm(newPicture.extension)],
+      ["dct:created", dateTimeTerm(creation)]
+    ];
+
+    insertTriple(batch, subjectUri, iri("veeakker:thumbnail"), uriTerm(newPicture.fileResourceUri));
+    insertProperties(batch, newPicture.fileResourceUri, [
+      ...fileProperties,
+      ["dct:source", uriTerm(image)],
+      ["mu:uuid", stringTerm(newPicture.fileResourceUuid)]
+    ]);
+    insertProperties(batch, newPicture.shareResourceUri, [
+      ...fileProperties,
+      ["mu:uuid", stringTerm(newPicture.shareResourceUuid)],
+      ["nie:dataSource", uriTerm(newPicture.fileResourceUri)]
+    ]);
+  }
+
+  return droppedShareFiles;
+}
+
+/**
+ * @typedef {Object} ProductMeta
+ * @property {string} productUri URI of the product.
+ * @property {string} admsIdentifier URI of the product's LFW identifier.
+ */
+
+/**
+ * Finds the metadata of the product if it exists.
+ * @param {Product} product
+ * @return {Promise<ProductMeta|null>}
+ */
+async function findProductMeta( product ) {
+  let myQuery = `${PREFIXES}
+
+    SELECT ?productUri ?admsIdentifier
+    WHERE {
+      ?productUri
+        a schema:Product;
+        adms:identifier ?admsIdentifier.
+      ?admsIdentifier
+        a adms:Identifier;
+        skos:notation ${sparqlEscapeString(""+product.id)};
+        dct:creator <https://localfoodworks.eu/>.
+    }`;
+  console.log(myQuery);
+  const bindings = (await query(myQuery)).results.bindings;
+  if(bindings.length) {
+    console.log(`Found ${JSON.stringify(bindings[0])}`);
+    return {
+      productUri: bindings[0].productUri.value,
+      admsIdentifier: bindings[0].admsIdentifier.value
+    }
+  } else {
+    return null;
+  }
+}
+
+/**
+ * Connects the offering to the supplier of the product payload.
+ *
+ * Suppliers which offered the offering before no longer do so.  Nothing changes when the supplier is unknown.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string} offeringUri Offering of the product.
+ * @return {string|null} URI of the supplier, null if it is unknown.
+ */
+function ensureOfferingSupplier(batch, offeringUri) {
+  const supplierUri = supplierInState(batch);
+  if ( !supplierUri )
+    return null;
+
+  const offering = uriTerm(offeringUri);
+  const currentSuppliers = currentSubjects(batch, iri("gr:offers"), offering);
+  for ( const otherSupplier of currentSuppliers )
+    if ( otherSupplier !== supplierUri )
+      deleteTriple(batch, otherSupplier, iri("gr:offers"), offering);
+  if ( !currentSuppliers.includes(supplierUri) )
+    insertTriple(batch, supplierUri, iri("gr:offers"), offering);
+
+  return supplierUri;
+}
+
+/**
+ * Retires the LFW products which were not harvested by the job, nor by the RETIRE_AFTER_MISSED_JOBS - 1 successful
+ * harvests before it.
+ *
+ * Retired products are no longer public and are linked to the retiring job.  This should only be called after all
+ * pages were loaded successfully.  Nothing is retired when the job saw no products or when more than MAX_RETIRED_SHARE
+ * of the products would be retired, the job is warned instead.
+ * @param {string} jobUri Job which harvested all products currently available on LFW.
+ * @return {Promise<Array<string>>} URIs of the retired products.
+ */
+async function retireMissingProducts(jobUri) {
+  const candidates = (await query(`${PREFIXES}
+    SELECT ?product (MAX(?seen) AS ?lastSeen)
+    WHERE {
+      ?product a schema:Product;
+        adms:identifier ?identifier.
+      ?identifier dct:creator <https://localfoodworks.eu/>.
+      FILTER NOT EXISTS { ?product prov:wasGeneratedBy ${sparqlEscapeUri(jobUri)}. }
+      FILTER NOT EXISTS { ?product veeakker:retiredBy ?retiringJob. }
+      OPTIONAL {
+        ?product prov:wasGeneratedBy ?earlierJob.
+        ?earlierJob dct:created ?seen.
+      }
+    } GROUP BY ?product`)).results.bindings;
+
+  const harvests = (await query(`${PREFIXES}
+    SELECT DISTINCT ?created
+    WHERE {
+      ?job a veeakker:LfwFetchJob;
+        dct:created ?created.
+      FILTER NOT EXISTS {
+        ?job dct:type ?otherType.
+        FILTER( ?otherType != ${sparqlEscapeUri(JOB_TYPES.harvest)} )
+      }
+      {
+        VALUES ?status {
+          <http://veeakker.be/lfw-job-statusses/finished>
+          <http://veeakker.be/lfw-job-statusses/finished-with-errors>
+        }
+        ?job adms:status ?status.
+      }
+      UNION
+      { VALUES ?job { ${sparqlEscapeUri(jobUri)} } }
+    }`)).results.bindings.map( (binding) => new Date(binding.created.value) );
+
+  const retiredProducts = candidates
+    .filter( (binding) => {
+      const lastSeen = binding.lastSeen ? new Date(binding.lastSeen.value) : null;
+      const missedHarvests = harvests.filter( (created) => !lastSeen || created > lastSeen ).length;
+      return missedHarvests >= RETIRE_AFTER_MISSED_JOBS;
+    })
+    .map( (binding) => binding.product.value );
+
+  const { productsSeen } = await fetchJobProgress(jobUri);
+  const activeProducts = parseInt((await query(`${PREFIXES}
+    SELECT (COUNT(DISTINCT ?product) AS ?count)
+    WHERE {
+      ?product a schema:Product;
+        adms:identifier ?identifier.
+      ?identifier dct:creator <https://localfoodworks.eu/>.
+      FILTER NOT EXISTS { ?product veeakker:retiredBy ?retiringJob. }
+    }`)).results.bindings[0].count.value);
+  if ( retiredProducts.length && (!productsSeen || retiredProducts.length > MAX_RETIRED_SHARE * activeProducts) ) {
+    await warnJob(jobUri, `The harvest saw ${productsSeen || 0} products and would retire ${retiredProducts.length} of the ${activeProducts} products, more than ${MAX_RETIRED_SHARE * 100}%, no products are retired`);
+    return [];
+  }
+
+  if ( retiredProducts.length ) {
+    await unpublishProducts(retiredProducts);
+    await update(`${PREFIXES}
+      INSERT {
+        ?product veeakker:retiredBy ${sparqlEscapeUri(jobUri)}.
+        ${sparqlEscapeUri(jobUri)} veeakker:retiredProduct ?product.
+      } WHERE {
+        VALUES ?product { ${retiredProducts.map(sparqlEscapeUri).join(" ")} }
+      }`);
+  }
+
+  console.log(`Retired ${retiredProducts.length} products: ${retiredProducts.join(", ")}`);
+  return retiredProducts;
+}
+
+/**
+ * Makes the products private.  Publishing them again is left to our staff.
+ * @param {Array<string>} productUris URIs of the products to unpublish.
+ */
+async function unpublishProducts(productUris) {
+  await update(`${PREFIXES}
+    DELETE {
+      GRAPH <http://mu.semte.ch/application> {
+        ?product veeakker:isPublic ?isPublic.
+      }
+    } INSERT {
+      GRAPH <http://mu.semte.ch/application> {
+        ?product veeakker:isPublic ${sparqlEscapeBool(false)}.
+      }
+    } WHERE {
+      VALUES ?product { ${productUris.map(sparqlEscapeUri).join(" ")} }
+      OPTIONAL {
+        GRAPH <http://mu.semte.ch/application> {
+          ?product veeakker:isPublic ?isPublic.
+        }
+      }
+    }`);
+}
+
+/**
+  * @param {Array<Product>} products
+ */
+function printBasicPricingInfo(products) {
+  console.table(products.map( (product) => {
+    return {
+      measurementUnit:
+        product.pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement,
+      orderUnit:
+        product.pricing.consumerPrice.orderUnitPrice.unitOfMeasurement,
+      factor:
+        product.pricing.measurementUnitVsOrderUnitRatio
+    };
+  }));    
+}
+
+/**
+ * @typedef {Object} JobResource
+ * @property {string} uri URI of the job.
+ * @property {string} uuid mu:uuid of the job.
+ */
+
+// Seconds between the heartbeats of a running job, and after which a running job without heartbeat is stale.
+const JOB_HEARTBEAT_INTERVAL = secondsFromEnv("JOB_HEARTBEAT_INTERVAL", 30);
+const STALE_JOB_AFTER = secondsFromEnv("STALE_JOB_AFTER", 10 * 60);
+
+/**
+ * A job could not be started because another job is running.
+ */
+class JobRunningError extends Error {
+  /**
+   * @param {JobResource|null} runningJob The job which holds the lock, null if it finished in the meantime.
+   */
+  constructor(runningJob) {
+    super(runningJob ? `Job ${runningJob.uri} is still running` : "Another job was running");
+    this.name = "JobRunningError";
+    this.runningJob = runningJob;
+  }
+}
+
+/**
+ * A job failed, the failure is recorded on the job.
+ */
+class JobFailedError extends Error {
+  /**
+   * @param {JobResource} job The job which failed.
+   * @param {Error|string} cause The failure which stopped the job.
+   */
+  constructor(job, cause) {
+    super(`Job ${job.uri} failed: ${errorMessage(cause)}`);
+    this.name = "JobFailedError";
+    this.job = job;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether the job failed because LFW does not know the requested resource.
+   * @return {boolean}
+   */
+  get notFoundInLfw() {
+    let cause = this.cause;
+    while ( cause && !(cause instanceof LfwRequestError) )
+      cause = cause.cause;
+    return Boolean(cause) && cause.status === 404;
+  }
+}
+
+/**
+ * Constructs a new load job which can be used to link products to the job(s) that fetched them, and starts it.
+ *
+ * Only one job runs at a time, the running status in the triplestore acts as the lock.  This keeps harvests from
+ * creating the same product twice, also across restarts of the service.  Jobs which stopped sending heartbeats are
+ * recovered first.
+ * @param {string} type One of JOB_TYPES.  Defaults to a harvest.
+ * @return {Promise<JobResource>} The created job, it is running.
+ * @throws {JobRunningError} When another job is running.
+ */
+async function createLoadJob(type = JOB_TYPES.harvest) {
+  await recoverStaleJobs();
+
+  const lfwFetchJobUuid = uuid();
+  const lfwFetchJobUri = `http://veeakker.be/lfw-jobs/${lfwFetchJobUuid}`;
+  const now = new Date();
+
+  // TODO: veeakker:LfwFetchJob should subclass cogs:Job.
+
+  // The job is only inserted when no other job is running, a single update can not interleave with another one.
+  await update(`
+    ${PREFIXES}
+    INSERT {
+      GRAPH <http://mu.semte.ch/application> {
+        ${sparqlEscapeUri(lfwFetchJobUri)}
+          a veeakker:LfwFetchJob;
+          mu:uuid ${sparqlEscapeString(lfwFetchJobUuid)};
+          dct:type ${sparqlEscapeUri(type)};
+          dct:created ${sparqlEscapeDateTime(now)};
+          adms:status <http://veeakker.be/lfw-job-statusses/running>;
+          prov:startedAtTime ${sparqlEscapeDateTime(now)};
+          veeakker:heartbeat ${sparqlEscapeDateTime(now)}.
+      }
+    } WHERE {
+      FILTER NOT EXISTS {
+        ?runningJob a veeakker:LfwFetchJob;
+          adms:status <http://veeakker.be/lfw-job-statusses/running>.
+      }
+    }`);
+
+  const created = (await query(`${PREFIXES}
+    ASK {
+      ${sparqlEscapeUri(lfwFetchJobUri)} a veeakker:LfwFetchJob.
+    }`)).boolean;
+  if ( !created )
+    throw new JobRunningError(await findRunningJob());
+
+  return { uri: lfwFetchJobUri, uuid: lfwFetchJobUuid };
+}
+
+/**
+ * Finds the job which is running according to the triplestore.
+ * @return {Promise<JobResource|null>} The running job, null if no job is running.
+ */
+async function findRunningJob() {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?job ?uuid
+    WHERE {
+      ?job a veeakker:LfwFetchJob;
+        mu:uuid ?uuid;
+        adms:status <http://veeakker.be/lfw-job-statusses/running>.
+    } LIMIT 1`)).results.bindings;
+  return bindings.length ? { uri: bindings[0].job.value, uuid: bindings[0].uuid.value } : null;
+}
+
+/**
+ * Runs work for a job while recording heartbeats on it, which shows the job has not been interrupted.
+ * @param {string} jobUri
+ * @param {() => Promise<T>} work
+ * @return {Promise<T>}
+ * @template T
+ */
+async function withJobHeartbeat(jobUri, work) {
+  const interval = setInterval( () => {
+    update(`
+      ${PREFIXES}
+      DELETE WHERE {
+        ${sparqlEscapeUri(jobUri)} veeakker:heartbeat ?heartbeat.
+      };
+      INSERT DATA {
+        ${sparqlEscapeUri(jobUri)} veeakker:heartbeat ${sparqlEscapeDateTime(new Date())}.
+      }`).catch( (e) => console.error(`Could not record heartbeat of job ${jobUri}: ${e}`) );
+  }, JOB_HEARTBEAT_INTERVAL * 1000);
+
+  try {
+    return await work();
+  } finally {
+    clearInterval(interval);
+  }
+}
+
+/**
+ * Marks running jobs which stopped sending heartbeats as failed, which releases their lock.
+ *
+ * Such jobs were interrupted, usually by a restart of the service.  Jobs from before heartbeats existed are judged by
+ * the time they started.
+ * @return {Promise<Array<string>>} URIs of the recovered jobs.
+ */
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_AFTER * 1000);
+  const staleJobs = (await query(`${PREFIXES}
+    SELECT DISTINCT ?job
+    WHERE {
+      ?job a veeakker:LfwFetchJob;
+        adms:status <http://veeakker.be/lfw-job-statusses/running>;
+        dct:created ?created.
+      OPTIONAL { ?job prov:startedAtTime ?started. }
+      OPTIONAL { ?job veeakker:heartbeat ?heartbeat. }
+      BIND( COALESCE(?heartbeat, ?started, ?created) AS ?lastSign )
+      FILTER( ?lastSign < ${sparqlEscapeDateTime(staleBefore)} )
+    }`)).results.bindings.map( (binding) => binding.job.value );
+
+  for ( const jobUri of staleJobs ) {
+    console.log(`Recovering stale job ${jobUri}`);
+    await errorJob(jobUri, `Job stopped responding, it was probably interrupted by a restart of the service`);
+  }
+  return staleJobs;
+}
+
+/**
+ * Stops the job.
+ *
+ * Jobs for which errors were recorded end as finished with errors, their other products were harvested.
+ * @param {string} jobUri Job identifier to stop.
+ */
+async function finishJob(jobUri) {
+  JOB_WARNED_SUBJECTS.delete(jobUri);
+  const hasErrors = (await query(`${PREFIXES}
+    ASK {
+      ${sparqlEscapeUri(jobUri)} veeakker:error ?error.
     }`)).boolean;
-    if( !hasSupplier ) {
-      const supplierUuid = uuid();
-      const supplierUri = `http://veeakker.be/suppliers/${supplierUuid}`;
-      const identifierUuid = uuid();
-      const identifierUri = `http://data.redpencil.io/identifiers/${identifierUuid}`;
+  const status = hasErrors
+    ? "http://veeakker.be/lfw-job-statusses/finished-with-errors"
+    : "http://veeakker.be/lfw-job-statusses/finished";
+
+  await update(`
+    ${PREFIXES}
+    DELETE WHERE {
+      ${sparqlEscapeUri(jobUri)} adms:status ?status.
+    };
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)} adms:status ${sparqlEscapeUri(status)};
+        prov:endedAtTime ${sparqlEscapeDateTime(new Date())}.
+    }`);
+}
+
+/**
+ * Errors the job.
+ * @param {string} jobUri Job identifier to error.
+ * @param {Error|string} error Failure which stopped the job, it is recorded as an error of the job.
+ */
+async function errorJob(jobUri, error) {
+  JOB_WARNED_SUBJECTS.delete(jobUri);
+  await recordJobError(jobUri, error instanceof ProductLoadError
+    ? { productId: error.productId, step: error.step, message: errorMessage(error) }
+    : { message: errorMessage(error) });
+  await update(`
+    ${PREFIXES}
+    DELETE WHERE {
+      ${sparqlEscapeUri(jobUri)} adms:status ?status.
+    };
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)} adms:status <http://veeakker.be/lfw-job-statusses/error>;
+        prov:endedAtTime ${sparqlEscapeDateTime(new Date())}.
+    }`);
+}
+
+// Subjects of the warnings which were given once per job, by job
+const JOB_WARNED_SUBJECTS = new Map();
+
+/**
+ * Whether the job was warned about the subject, see warnJobOnce.
+ * @param {string|undefined} jobUri
+ * @param {string} subject
+ * @return {boolean} False when no job is supplied.
+ */
+function jobWarnedAbout(jobUri, subject) {
+  return Boolean(jobUri && JOB_WARNED_SUBJECTS.has(jobUri) && JOB_WARNED_SUBJECTS.get(jobUri).has(subject));
+}
+
+/**
+ * Adds a warning to the job unless the job was already warned about the same subject.
+ *
+ * Used for issues of the LFW data rather than of a product, which would otherwise be repeated for each product.
+ * @param {string|undefined} jobUri Job to warn, the warning is logged every time when no job is supplied.
+ * @param {string} subject What the warning is about. eg: "allergen-15"
+ * @param {string} message Description of the issue.
+ */
+async function warnJobOnce(jobUri, subject, message) {
+  if ( jobUri ) {
+    const warned = JOB_WARNED_SUBJECTS.get(jobUri) || new Set();
+    if ( warned.has(subject) )
+      return;
+    JOB_WARNED_SUBJECTS.set(jobUri, warned.add(subject));
+  }
+  await warnJob(jobUri, message);
+}
+
+/**
+ * Adds a warning to the job, for issues which should be reviewed but which do not stop the harvest.
+ * @param {string|undefined} jobUri Job to warn, the warning is only logged when no job is supplied.
+ * @param {string} message Description of the issue.
+ */
+async function warnJob(jobUri, message) {
+  console.warn(`WARNING: ${message}`);
+  if( !jobUri )
+    return;
+
+  const warningUuid = uuid();
+  const warningUri = `http://veeakker.be/lfw-job-warnings/${warningUuid}`;
+  await update(`
+    ${PREFIXES}
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)} veeakker:warning ${sparqlEscapeUri(warningUri)}.
+      ${sparqlEscapeUri(warningUri)}
+        a veeakker:LfwJobWarning;
+        mu:uuid ${sparqlEscapeString(warningUuid)};
+        dct:description ${sparqlEscapeString(message)};
+        dct:created ${sparqlEscapeDateTime(new Date())}.
+    }`);
+}
+
+/**
+ * Adds an error to the job.
+ *
+ * Errors of a product stop the product from being harvested but not the job, errors without a product stopped the job.
+ * @param {string} jobUri Job which failed.
+ * @param {Object} error
+ * @param {number|string} [error.productId] LFW identifier of the product which failed.
+ * @param {string} [error.step] Step of loading the product which failed.
+ * @param {string} error.message Description of the failure.
+ */
+async function recordJobError(jobUri, { productId, step, message }) {
+  console.error(`ERROR: ${message}`);
+
+  const errorUuid = uuid();
+  const errorUri = `http://veeakker.be/lfw-job-errors/${errorUuid}`;
+  await update(`
+    ${PREFIXES}
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)} veeakker:error ${sparqlEscapeUri(errorUri)}.
+      ${sparqlEscapeUri(errorUri)}
+        a veeakker:LfwJobError;
+        mu:uuid ${sparqlEscapeString(errorUuid)};
+        ${productId !== undefined ? `veeakker:lfwProductId ${sparqlEscapeString(`${productId}`)};` : ""}
+        ${step ? `veeakker:step ${sparqlEscapeString(step)};` : ""}
+        dct:description ${sparqlEscapeString(message)};
+        dct:created ${sparqlEscapeDateTime(new Date())}.
+    }`);
+}
+
+/**
+ * Records the time at which a page used by the job was fetched from LFW.
+ *
+ * The job keeps the earliest and the latest fetch time, which tells how old the harvested information may be.
+ * @param {string} jobUri Job which used the page.
+ * @param {Date} fetchedAt Moment at which the page was fetched.
+ */
+async function recordPageFetch(jobUri, fetchedAt) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      ${sparqlEscapeUri(jobUri)} veeakker:earliestPageFetch ?earliest.
+    } INSERT {
+      ${sparqlEscapeUri(jobUri)} veeakker:earliestPageFetch ${sparqlEscapeDateTime(fetchedAt)}.
+    } WHERE {
+      OPTIONAL { ${sparqlEscapeUri(jobUri)} veeakker:earliestPageFetch ?earliest. }
+      FILTER( !BOUND(?earliest) || ?earliest > ${sparqlEscapeDateTime(fetchedAt)} )
+    };
+    DELETE {
+      ${sparqlEscapeUri(jobUri)} veeakker:latestPageFetch ?latest.
+    } INSERT {
+      ${sparqlEscapeUri(jobUri)} veeakker:latestPageFetch ${sparqlEscapeDateTime(fetchedAt)}.
+    } WHERE {
+      OPTIONAL { ${sparqlEscapeUri(jobUri)} veeakker:latestPageFetch ?latest. }
+      FILTER( !BOUND(?latest) || ?latest < ${sparqlEscapeDateTime(fetchedAt)} )
+    }`);
+}
+
+/**
+ * @typedef {Object} JobProgress
+ * @property {number|null} totalPages Amount of pages over all pickup points, null until it is known.
+ * @property {number} currentPage Amount of pages which were started.
+ * @property {number} productsSeen Products found on the pages, including the ones which failed.
+ * @property {number} productsCreated Products which did not exist yet.
+ * @property {number} productsUpdated Existing products of which a field changed.
+ * @property {number} productsSkipped Products which are excluded from harvesting.
+ * @property {number} productsFailed Products which could not be loaded.
+ * @property {number} suppliersCreated Suppliers which did not exist yet.
+ * @property {number} suppliersUpdated Existing suppliers of which the profile changed.
+ */
+
+// Predicates under which the counters of a JobProgress are stored on the job.
+const PROGRESS_PREDICATES = {
+  totalPages: "veeakker:totalPages",
+  currentPage: "veeakker:currentPage",
+  productsSeen: "veeakker:productsSeen",
+  productsCreated: "veeakker:productsCreated",
+  productsUpdated: "veeakker:productsUpdated",
+  productsSkipped: "veeakker:productsSkipped",
+  productsFailed: "veeakker:productsFailed",
+  suppliersCreated: "veeakker:suppliersCreated",
+  suppliersUpdated: "veeakker:suppliersUpdated"
+};
+
+// Progress of the jobs which are running in this service, by job URI.
+const JOB_PROGRESS = new Map();
+
+// Emits "progress" with the job URI and its progress whenever a counter changes, and "end" with the job URI once the
+// job has stopped.
+const PROGRESS_EVENTS = new EventEmitter();
+PROGRESS_EVENTS.setMaxListeners(0);
+
+/**
+ * Starts tracking the progress of a job which runs in this service.
+ * @param {string} jobUri
+ */
+function trackJobProgress(jobUri) {
+  JOB_PROGRESS.set(jobUri, {
+    totalPages: null,
+    currentPage: 0,
+    productsSeen: 0,
+    productsCreated: 0,
+    productsUpdated: 0,
+    productsSkipped: 0,
+    productsFailed: 0,
+    suppliersCreated: 0,
+    suppliersUpdated: 0
+  });
+}
+
+/**
+ * Changes the progress of a job, jobs which are not tracked are ignored.
+ * @param {string} jobUri
+ * @param {(progress: JobProgress) => void} change Updates the counters in place.
+ */
+function updateJobProgress(jobUri, change) {
+  const progress = JOB_PROGRESS.get(jobUri);
+  if ( !progress )
+    return;
+
+  change(progress);
+  PROGRESS_EVENTS.emit("progress", jobUri, { ...progress });
+}
+
+/**
+ * Stores the current progress of a tracked job on the job.
+ * @param {string} jobUri
+ */
+async function saveJobProgress(jobUri) {
+  const progress = JOB_PROGRESS.get(jobUri);
+  if ( !progress )
+    return;
+
+  const counters = Object.keys(PROGRESS_PREDICATES).filter( (counter) => progress[counter] !== null );
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      ${sparqlEscapeUri(jobUri)} ?p ?o.
+    } WHERE {
+      VALUES ?p { ${Object.values(PROGRESS_PREDICATES).join(" ")} }
+      ${sparqlEscapeUri(jobUri)} ?p ?o.
+    };
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)}
+        ${counters.map( (counter) => `${PROGRESS_PREDICATES[counter]} ${sparqlEscapeInt(progress[counter])}` ).join(";\n        ")}.
+    }`);
+}
+
+/**
+ * Stores the final progress of a job and stops tracking it.
+ * @param {string} jobUri
+ */
+async function stopTrackingJobProgress(jobUri) {
+  try {
+    await saveJobProgress(jobUri);
+  } finally {
+    JOB_PROGRESS.delete(jobUri);
+    PROGRESS_EVENTS.emit("end", jobUri);
+  }
+}
+
+/**
+ * Yields the progress of a job, from memory while it runs in this service and as it was stored otherwise.
+ * @param {string} jobUri
+ * @return {Promise<Record<keyof JobProgress, number|null>>} The counters, null for counters which were not stored.
+ */
+async function fetchJobProgress(jobUri) {
+  if ( JOB_PROGRESS.has(jobUri) )
+    return { ...JOB_PROGRESS.get(jobUri) };
+
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?p ?o
+    WHERE {
+      VALUES ?p { ${Object.values(PROGRESS_PREDICATES).join(" ")} }
+      ${sparqlEscapeUri(jobUri)} ?p ?o.
+    }`)).results.bindings;
+
+  const progress = {};
+  for ( const [counter, predicate] of Object.entries(PROGRESS_PREDICATES) ) {
+    const binding = bindings.find( (binding) => binding.p.value === iri(predicate) );
+    progress[counter] = binding ? parseInt(binding.o.value) : null;
+  }
+  return progress;
+}
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} uri URI of the job.
+ * @property {string} uuid mu:uuid of the job.
+ * @property {string|null} type dct:type of the job, null for jobs which were created before jobs had a type.
+ * @property {string|null} status adms:status of the job, null if it has not started yet.
+ * @property {string} created When the job was created.
+ * @property {string|null} started When the job was started.
+ * @property {string|null} finished When the job finished or failed.
+ * @property {string|null} earliestPageFetch When the oldest LFW page used by the job was fetched.
+ * @property {string|null} latestPageFetch When the most recent LFW page used by the job was fetched.
+ */
+
+/**
+ * Fetches the status of the load jobs, most recent first.
+ * @param {string} [jobUuid] Only fetch the job with this mu:uuid.
+ * @return {Promise<Array<JobStatus>>}
+ */
+async function fetchJobStatusses(jobUuid) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?job ?uuid ?type ?status ?created ?started ?finished ?earliestPageFetch ?latestPageFetch
+    WHERE {
+      ?job a veeakker:LfwFetchJob;
+        mu:uuid ?uuid;
+        dct:created ?created.
+      ${jobUuid ? `VALUES ?uuid { ${sparqlEscapeString(jobUuid)} }` : ""}
+      OPTIONAL { ?job dct:type ?type. }
+      OPTIONAL { ?job adms:status ?status. }
+      OPTIONAL { ?job prov:startedAtTime ?started. }
+      OPTIONAL { ?job prov:endedAtTime ?finished. }
+      OPTIONAL { ?job veeakker:earliestPageFetch ?earliestPageFetch. }
+      OPTIONAL { ?job veeakker:latestPageFetch ?latestPageFetch. }
+    } ORDER BY DESC(?created)`)).results.bindings;
+
+  return bindings.map( (binding) => ({
+    uri: binding.job.value,
+    uuid: binding.uuid.value,
+    type: binding.type ? binding.type.value : null,
+    status: binding.status ? binding.status.value : null,
+    created: binding.created.value,
+    started: binding.started ? binding.started.value : null,
+    finished: binding.finished ? binding.finished.value : null,
+    earliestPageFetch: binding.earliestPageFetch ? binding.earliestPageFetch.value : null,
+    latestPageFetch: binding.latestPageFetch ? binding.latestPageFetch.value : null
+  }));
+}
+
+/**
+ * Fetches the products which were retired by a job.
+ * @param {string} jobUri
+ * @return {Promise<Array<string>>} URIs of the retired products.
+ */
+async function fetchRetiredProducts(jobUri) {
+  return (await query(`${PREFIXES}
+    SELECT ?product
+    WHERE {
+      ${sparqlEscapeUri(jobUri)} veeakker:retiredProduct ?product.
+    }`)).results.bindings.map( (binding) => binding.product.value );
+}
+
+/**
+ * @typedef {Object} PriceHistoryEntry
+ * @property {string} uuid mu:uuid of the price specification.
+ * @property {"singleUnitPrice"|"offering"} kind Whether the price is the product's price per unit or the price of an
+ * offering.
+ * @property {string|null} offering URI of the offering for offering prices.
+ * @property {string|null} pickupPoint URI of the pickup point of the offering.
+ * @property {number} euros The price.
+ * @property {string|null} unit CEFACT unit of the price.
+ * @property {string|null} validFrom Moment the price was first harvested, null for prices from before the history.
+ * @property {string|null} validThrough Moment the price was replaced, null for current prices.
+ * @property {string|null} job Job which harvested the price.
+ */
+
+/**
+ * Fetches the price timeline of a product, oldest price first.
+ * @param {string} productUuid mu:uuid of the product.
+ * @return {Promise<Array<PriceHistoryEntry>>}
+ */
+async function fetchPriceHistory(productUuid) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT DISTINCT ?kind ?offering ?pickupPoint ?priceSpecification ?uuid ?euros ?unit ?validFrom ?validThrough ?job
+    WHERE {
+      ?product a schema:Product;
+        mu:uuid ${sparqlEscapeString(productUuid)}.
+      {
+        ?product veeakker:singleUnitPrice|veeakker:formerSingleUnitPrice ?priceSpecification.
+        BIND("singleUnitPrice" AS ?kind)
+      } UNION {
+        ?product veeakker:offerings ?offering.
+        ?offering gr:hasPriceSpecification|veeakker:formerPriceSpecification ?priceSpecification.
+        OPTIONAL { ?offering gr:availableAtOrFrom ?pickupPoint. }
+        BIND("offering" AS ?kind)
+      }
+      ?priceSpecification mu:uuid ?uuid;
+        gr:hasCurrencyValue ?euros.
+      OPTIONAL { ?priceSpecification gr:hasUnitOfMeasurement ?unit. }
+      OPTIONAL { ?priceSpecification gr:validFrom ?validFrom. }
+      OPTIONAL { ?priceSpecification gr:validThrough ?validThrough. }
+      OPTIONAL { ?priceSpecification prov:wasGeneratedBy ?job. }
+    } ORDER BY ?kind ?offering ?validFrom`)).results.bindings;
+
+  return bindings.map( (binding) => ({
+    uuid: binding.uuid.value,
+    kind: binding.kind.value,
+    offering: binding.offering ? binding.offering.value : null,
+    pickupPoint: binding.pickupPoint ? binding.pickupPoint.value : null,
+    euros: parseFloat(binding.euros.value),
+    unit: binding.unit ? binding.unit.value : null,
+    validFrom: binding.validFrom ? binding.validFrom.value : null,
+    validThrough: binding.validThrough ? binding.validThrough.value : null,
+    job: binding.job ? binding.job.value : null
+  }));
+}
+
+/**
+ * Fetches the fields of a product which staff locked against the harvest.
+ * @param {string} productUuid mu:uuid of the product.
+ * @return {Promise<{uri: string, fields: Array<string>}|null>} The product and its locked fields, null if the product
+ * does not exist.
+ */
+async function fetchLockedFields(productUuid) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?product ?field
+    WHERE {
+      ?product a schema:Product;
+        mu:uuid ${sparqlEscapeString(productUuid)}.
+      OPTIONAL { ?product veeakker:lockedField ?field. }
+    }`)).results.bindings;
+
+  if ( !bindings.length )
+    return null;
+  return {
+    uri: bindings[0].product.value,
+    fields: bindings.filter( ({ field }) => field ).map( ({ field }) => field.value ).sort()
+  };
+}
+
+/**
+ * Replaces the fields of a product which staff locked against the harvest.
+ * @param {string} productUri URI of the product.
+ * @param {Array<string>} fields Names of PROTECTED_FIELDS.
+ * @return {Promise}
+ */
+async function updateLockedFields(productUri, fields) {
+  await update(`${PREFIXES}
+    DELETE WHERE {
+      ${sparqlEscapeUri(productUri)} veeakker:lockedField ?field.
+    }
+    ${fields.length ? `;
+    INSERT DATA {
+      ${sparqlEscapeUri(productUri)} veeakker:lockedField ${fields.map(sparqlEscapeString).join(", ")}.
+    }` : ""}`);
+}
+
+/**
+ * Fetches the warnings of a job, oldest first.
+ * @param {string} jobUri
+ * @return {Promise<Array<{message: string, created: string}>>}
+ */
+async function fetchJobWarnings(jobUri) {
+  return (await query(`${PREFIXES}
+    SELECT ?message ?created
+    WHERE {
+      ${sparqlEscapeUri(jobUri)} veeakker:warning ?warning.
+      ?warning dct:description ?message;
+        dct:created ?created.
+    } ORDER BY ?created`)).results.bindings
+    .map( (binding) => ({ message: binding.message.value, created: binding.created.value }) );
+}
+
+/**
+ * @typedef {Object} JobError
+ * @property {string|null} productId LFW identifier of the product which failed, null when the job itself failed.
+ * @property {string|null} step Step of loading the product which failed.
+ * @property {string} message Description of the failure.
+ * @property {string} created When the error occurred.
+ */
 
-      await update(`${PREFIXES}
+/**
+ * Fetches the errors of a job, oldest first.
+ * @param {string} jobUri
+ * @return {Promise<Array<JobError>>}
+ */
+async function fetchJobErrors(jobUri) {
+  return (await query(`${PREFIXES}
+    SELECT ?productId ?step ?message ?created
+    WHERE {
+      ${sparqlEscapeUri(jobUri)} veeakker:error ?error.
+      ?error dct:description ?message;
+        dct:created ?created.
+      OPTIONAL { ?error veeakker:lfwProductId ?productId. }
+      OPTIONAL { ?error veeakker:step ?step. }
+    } ORDER BY ?created`)).results.bindings
+    .map( (binding) => ({
+      productId: binding.productId ? binding.productId.value : null,
+      step: binding.step ? binding.step.value : null,
+      message: binding.message.value,
+      created: binding.created.value
+    }) );
+}
+
+/**
+ * Renders a job status as a JSON:API resource object.
+ * @param {JobStatus} job
+ * @return {Object}
+ */
+function jobStatusToJsonApi(job) {
+  const { uuid, ...attributes } = job;
+  return { type: "lfw-fetch-jobs", id: uuid, attributes };
+}
+
+/**
+ * Finds the LFW pickup point in our database.
+ * @param {PickupPoint} pickupPoint
+ * @return {Promise<string|null>} URI of the pickup point, null if it does not exist yet.
+ */
+async function findPickupPoint(pickupPoint) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?pickupPoint
+    WHERE {
+      ?pickupPoint a gr:Location;
+        adms:identifier ?identifier.
+      ?identifier dct:creator <https://localfoodworks.eu/>;
+        skos:notation ${sparqlEscapeString(`${pickupPoint.pickupPointId}`)}.
+    } LIMIT 1`)).results.bindings;
+
+  return bindings.length ? bindings[0].pickupPoint.value : null;
+}
+
+/**
+ * Ensures the LFW pickup point exists as a location in our database.
+ * @param {PickupPoint} pickupPoint
+ * @return {Promise<string>} URI of the pickup point.
+ */
+async function ensurePickupPoint(pickupPoint) {
+  const existing = await findPickupPoint(pickupPoint);
+  if ( existing ) {
+    return existing;
+  } else {
+    const pickupPointUuid = uuid();
+    const pickupPointUri = `http://veeakker.be/pickup-points/${pickupPointUuid}`;
+    const identifierUuid = uuid();
+    const identifierUri = `http://data.redpencil.io/identifiers/${identifierUuid}`;
+
+    await update(`${PREFIXES}
       INSERT DATA {
-        ${sparqlEscapeUri(supplierUri)}
-          a gr:BusinessEntity;
-          mu:uuid ${sparqlEscapeString(supplierUuid)};
+        ${sparqlEscapeUri(pickupPointUri)}
+          a gr:Location;
+          mu:uuid ${sparqlEscapeString(pickupPointUuid)};
+          veeakker:lfwStoreId ${sparqlEscapeString(`${pickupPoint.storeId}`)};
           adms:identifier ${sparqlEscapeUri(identifierUri)}.
         ${sparqlEscapeUri(identifierUri)}
           a adms:Identifier;
           mu:uuid ${sparqlEscapeString(identifierUuid)};
-          skos:notation ${sparqlEscapeString(`${supplier.id}`)};
+          skos:notation ${sparqlEscapeString(`${pickupPoint.pickupPointId}`)};
           dct:creator <https://localfoodworks.eu/>;
-          dct:title ${sparqlEscapeString(`LFW Supplier ID ${supplier.id}`)}.
-          }`);
+          dct:title ${sparqlEscapeString(`LFW Pickup Point ID ${pickupPoint.pickupPointId}`)}.
+      }`);
+
+    return pickupPointUri;
+  }
+}
+
+/**
+ * Finds the supplier with the given LFW identifier.
+ * @param {string|number} supplierId LFW identifier of the supplier.
+ * @return {Promise<string|null>} URI of the supplier, null if it does not exist yet.
+ */
+async function findSupplier(supplierId) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?supplier
+    WHERE {
+      ?supplier a gr:BusinessEntity;
+        adms:identifier ?identifier.
+      ?identifier dct:creator <https://localfoodworks.eu/>;
+        skos:notation ${sparqlEscapeString(`${supplierId}`)}.
+    } LIMIT 1`)).results.bindings;
+
+  return bindings.length ? bindings[0].supplier.value : null;
+}
+
+/**
+ * Renders the formatted text description of a supplier as sanitized HTML.
+ * @param {string|null} description
+ * @return {string}
+ */
+function supplierDescriptionAsHtml(description) {
+  return purify.sanitize(
+    (description || "").replaceAll("\n", "<br />"),
+    { USE_PROFILES: { html: true } }
+  );
+}
+
+/**
+ * Adds the changes a harvest of the supplier's profile would make to the change set.
+ * @param {string} supplierUri URI of the existing supplier.
+ * @param {SupplierDetail} supplier Detail page of the supplier.
+ * @param {ChangeSet} changes Change set to extend.
+ * @return {Promise<boolean>} Whether the harvest changes the profile.
+ */
+async function collectSupplierChanges(supplierUri, supplier, changes) {
+  const [binding] = (await query(`${PREFIXES}
+    SELECT (SAMPLE(?name) AS ?name) (SAMPLE(?emailAddress) AS ?emailAddress) (SAMPLE(?description) AS ?description)
+      (SAMPLE(?website) AS ?website) (SAMPLE(?phoneNumber) AS ?phoneNumber) (SAMPLE(?image) AS ?image)
+    WHERE {
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} gr:name ?name. }
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} schema:email ?emailAddress. }
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} dct:description ?description. }
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} schema:url ?website. }
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} schema:telephone ?phoneNumber. }
+      OPTIONAL { ${sparqlEscapeUri(supplierUri)} veeakker:thumbnail/dct:source ?image. }
+    }`)).results.bindings;
+  const current = (name) => binding && binding[name] ? binding[name].value : null;
+
+  const desired = {
+    name: supplier.name,
+    emailAddress: supplier.emailAddress,
+    description: supplier.description === undefined ? undefined : supplierDescriptionAsHtml(supplier.description),
+    website: supplier.website,
+    phoneNumber: supplier.phoneNumber,
+    image: supplier.image
+  };
+
+  // Fields which are not in the payload are not touched by the harvest.
+  const fieldChanges = Object.keys(desired)
+    .filter( (field) => desired[field] !== undefined && current(field) !== (desired[field] || null) )
+    .map( (field) => ({ field, from: current(field), to: desired[field] || null }) );
+
+  if ( fieldChanges.length )
+    changes.changedSuppliers.push({ lfwId: supplier.id, supplierUri, changes: fieldChanges });
+
+  return fieldChanges.length > 0;
+}
+
+/**
+ * Stores the profile of a supplier.
+ *
+ * Only the fields which are in the payload are updated.  This allows both the SupplierInfo of a product and the
+ * SupplierDetail of the supplier to be stored.  Updates of the same supplier run one after the other, see
+ * withSupplierLock.
+ * @param {string} supplierUri URI of the supplier.
+ * @param {SupplierInfo|SupplierDetail} supplier Information on the supplier.
+ * @param {string} [jobUri] Job which is harvesting the supplier.
+ */
+async function ensureSupplierProfile(supplierUri, supplier, jobUri) {
+  return await withSupplierLock(supplierUri, () => ensureLockedSupplierProfile(supplierUri, supplier, jobUri));
+}
+
+/**
+ * Stores the profile of a supplier while holding its lock, see ensureSupplierProfile.
+ * @param {string} supplierUri URI of the supplier.
+ * @param {SupplierInfo|SupplierDetail} supplier Information on the supplier.
+ * @param {string} [jobUri] Job which is harvesting the supplier.
+ */
+async function ensureLockedSupplierProfile(supplierUri, supplier, jobUri) {
+  const optionalString = (value) => value ? sparqlEscapeString(value) : null;
+  const properties = [];
+
+  if ( supplier.emailAddress !== undefined )
+    properties.push(["schema:email", optionalString(supplier.emailAddress)]);
+  if ( supplier.description !== undefined )
+    properties.push(["dct:description", sparqlEscapeString(supplierDescriptionAsHtml(supplier.description))]);
+  if ( supplier.website !== undefined )
+    properties.push(["schema:url", optionalString(supplier.website)]);
+  if ( supplier.phoneNumber !== undefined )
+    properties.push(["schema:telephone", optionalString(supplier.phoneNumber)]);
+
+  if ( properties.length ) {
+    const newProperties = properties.filter( ([_predicate, value]) => value );
+    await update(`${PREFIXES}
+    DELETE {
+      ${sparqlEscapeUri(supplierUri)} ?p ?o.
+    } WHERE {
+      VALUES ?p { ${properties.map( ([predicate]) => predicate ).join(" ")} }
+      ${sparqlEscapeUri(supplierUri)} ?p ?o.
+    }
+    ${ newProperties.length ?
+    `;
+    INSERT DATA {
+      ${sparqlEscapeUri(supplierUri)}
+        ${newProperties.map( ([predicate, value]) => `${predicate} ${value}` ).join(";\n        ")}.
+    }` : ""
+    }`);
+  }
+
+  if ( supplier.address !== undefined )
+    await ensureSupplierAddress(supplierUri, supplier.address);
+
+  if ( supplier.image !== undefined )
+    await ensureThumbnail(supplierUri, supplier.image, jobUri);
+}
+
+/**
+ * Stores the postal address of a supplier, keeping the URI of the existing address.
+ * @param {string} supplierUri URI of the supplier.
+ * @param {SupplierDetail["address"]|null} address Address of the supplier, the address is removed if it is empty.
+ */
+async function ensureSupplierAddress(supplierUri, address) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?address
+    WHERE {
+      ${sparqlEscapeUri(supplierUri)} schema:address ?address.
+    } LIMIT 1`)).results.bindings;
+
+  let addressUri = bindings.length ? bindings[0].address.value : null;
+  if ( !address ) {
+    if ( addressUri )
+      await update(`${PREFIXES}
+        DELETE WHERE {
+          ${sparqlEscapeUri(supplierUri)} schema:address ?address.
+          ?address ?p ?o.
+        }`);
+    return;
+  }
+
+  if ( !addressUri ) {
+    const addressUuid = uuid();
+    addressUri = `http://veeakker.be/addresses/${addressUuid}`;
+    await update(`${PREFIXES}
+      INSERT DATA {
+        ${sparqlEscapeUri(supplierUri)} schema:address ${sparqlEscapeUri(addressUri)}.
+        ${sparqlEscapeUri(addressUri)}
+          a schema:PostalAddress;
+          mu:uuid ${sparqlEscapeString(addressUuid)}.
+      }`);
+  }
+
+  const streetAddress = [address.street, address.number].filter( (part) => part ).join(" ");
+  const properties = [
+    ["schema:streetAddress", streetAddress],
+    ["schema:postalCode", address.postalCode],
+    ["schema:addressLocality", address.city],
+    ["schema:addressCountry", address.country]
+  ].filter( ([_predicate, value]) => value );
+
+  await update(`${PREFIXES}
+    DELETE {
+      ${sparqlEscapeUri(addressUri)} ?p ?o.
+    } WHERE {
+      VALUES ?p { schema:streetAddress schema:postalCode schema:addressLocality schema:addressCountry }
+      ${sparqlEscapeUri(addressUri)} ?p ?o.
+    }
+    ${ properties.length ?
+    `;
+    INSERT DATA {
+      ${sparqlEscapeUri(addressUri)}
+        ${properties.map( ([predicate, value]) => `${predicate} ${sparqlEscapeString(`${value}`)}` ).join(";\n        ")}.
+    }` : ""
+    }`);
+}
+
+/**
+ * Loads the suppliers by fetching the relevant document and updating their core information.
+ *
+ * Suppliers of all configured stores are loaded.  Their profile is completed from the suppliers' detail page.
+ * @param {string} jobUri Job for which the suppliers are loaded.
+ * @param {CacheOptions & { changes?: ChangeSet, dryRun?: boolean }} options Suppliers which do not exist yet are added
+ * to the changes.  Nothing is written when dryRun is set.
+ */
+async function loadSuppliers(jobUri, options = {}) {
+  const storeIds = [...new Set(PICKUP_POINTS.map( ({storeId}) => storeId ))];
+  const suppliersById = new Map();
+  const storeBySupplierId = new Map();
+  for( const storeId of storeIds ) {
+    for( const supplier of await ensureSuppliersPage(storeId, { refresh: options.refresh, job: jobUri }) ) {
+      suppliersById.set(supplier.id, supplier);
+      storeBySupplierId.set(supplier.id, storeId);
+    }
+  }
+  const suppliers = [...suppliersById.values()];
+
+  // We want to keep the URIs of the entities which already exist, hence we first ensure we have an object for each ID,
+  // then we start filling in the details.
+  const existingSupplierIds = new Set();
+  for( const supplier of suppliers ) {
+    const hasSupplier = Boolean(await findSupplier(supplier.id));
+    if( hasSupplier )
+      existingSupplierIds.add(supplier.id);
+    else
+      updateJobProgress(jobUri, (progress) => progress.suppliersCreated++);
+    if( !hasSupplier && options.changes )
+      options.changes.newSuppliers.push({ lfwId: supplier.id, name: supplier.name });
+    if( !hasSupplier && !options.dryRun )
+      await createSupplier(supplier);
+  }
+
+  if( options.dryRun )
+    return;
+
+  // Now we know all entities have the desired identifier and we can set other properties fetched.  Today that's only the name.
+  await updateSupplierNames(suppliers);
+
+  // The detail page of each supplier contains the rest of its profile.  A supplier whose detail page fails keeps what
+  // the listing gave it, the other suppliers are still loaded.
+  for( const supplier of suppliers ) {
+    try {
+      const supplierUri = await findSupplier(supplier.id);
+      const supplierDetail =
+        await ensureSupplierPage(storeBySupplierId.get(supplier.id), supplier.id, { refresh: options.refresh, job: jobUri });
+      if( existingSupplierIds.has(supplier.id) && await collectSupplierChanges(supplierUri, supplierDetail, createChangeSet()) )
+        updateJobProgress(jobUri, (progress) => progress.suppliersUpdated++);
+      await ensureSupplierProfile(supplierUri, supplierDetail, jobUri);
+    } catch (e) {
+      await warnJob(jobUri, `Could not load the profile of supplier ${supplier.id} "${supplier.name}", only its name is updated: ${errorMessage(e)}`);
+    }
+  }
+}
+
+/**
+ * Loads a single supplier from its detail page.
+ * @param {string|number} storeId Store through which the supplier is fetched.
+ * @param {string|number} supplierId LFW identifier of the supplier.
+ * @param {string} jobUri Job for which the supplier is loaded.
+ * @param {CacheOptions & { changes?: ChangeSet }} options
+ * @return {Promise<string>} URI of the supplier.
+ */
+async function loadSupplier(storeId, supplierId, jobUri, options = {}) {
+  const supplierDetail = await ensureSupplierPage(storeId, supplierId, { refresh: options.refresh, job: jobUri });
+  const existingSupplierUri = await findSupplier(supplierId);
+
+  if( options.changes ) {
+    if( existingSupplierUri )
+      await collectSupplierChanges(existingSupplierUri, supplierDetail, options.changes);
+    else
+      options.changes.newSuppliers.push({ lfwId: supplierDetail.id, name: supplierDetail.name });
+  }
+
+  const supplierUri = existingSupplierUri || await createSupplier(supplierDetail);
+  await updateSupplierNames([supplierDetail]);
+  await ensureSupplierProfile(supplierUri, supplierDetail, jobUri);
+  return supplierUri;
+}
+
+/**
+ * Creates a supplier with its LFW identifier.
+ * @param {SupplierSummary} supplier
+ * @return {Promise<string>} URI of the new supplier.
+ */
+async function createSupplier(supplier) {
+  const supplierUuid = uuid();
+  const supplierUri = `http://veeakker.be/suppliers/${supplierUuid}`;
+  const identifierUuid = uuid();
+  const identifierUri = `http://data.redpencil.io/identifiers/${identifierUuid}`;
+
+  await update(`${PREFIXES}
+  INSERT DATA {
+    ${sparqlEscapeUri(supplierUri)}
+      a gr:BusinessEntity;
+      mu:uuid ${sparqlEscapeString(supplierUuid)};
+      adms:identifier ${sparqlEscapeUri(identifierUri)}.
+    ${sparqlEscapeUri(identifierUri)}
+      a adms:Identifier;
+      mu:uuid ${sparqlEscapeString(identifierUuid)};
+      skos:notation ${sparqlEscapeString(`${supplier.id}`)};
+      dct:creator <https://localfoodworks.eu/>;
+      dct:title ${sparqlEscapeString(`LFW Supplier ID ${supplier.id}`)}.
+      }`);
+
+  return supplierUri;
+}
+
+/**
+ * Sets the names of existing suppliers.
+ * @param {Array<SupplierSummary>} suppliers
+ */
+async function updateSupplierNames(suppliers) {
+  await update(`${PREFIXES}
+  DELETE {
+    ?supplier gr:name ?oldName.
+  } INSERT {
+    ?supplier gr:name ?newName.
+  } WHERE {
+  VALUES ( ?externalIdentifier ?newName ) {
+    ${suppliers.map( (supplier) => {
+      return `( ${sparqlEscapeString(`${supplier.id}`)} ${sparqlEscapeString(supplier.name)})`
+    }).join(`\n    `)}
+    }
+    ?supplier a gr:BusinessEntity;
+      adms:identifier ?identifier.
+    ?identifier dct:creator <https://localfoodworks.eu/>;
+      skos:notation ?externalIdentifier.
+
+    OPTIONAL { ?supplier gr:name ?oldName }
+  }`);
+}
+
+/**
+ * Loads the supplier information for a product, assuming the supplier is already in the database.
+ *
+ * The supplier is found through its LFW identifier and connected to the offering by the product's update.  When the
+ * supplier is unknown or when its name differs from the name in the suppliers list, a warning is added to the job.
+ * @param {TripleBatch} batch State of the product, see readProductState.
+ * @param {string|null} supplierUri URI of the supplier, null if it is unknown.
+ * @param {string} offeringUri Product for which the supplier was found.
+ * @param {SupplierInfo} supplier Detailed information of the supplier.
+ * @param {string|undefined} jobUri Job which harvests the product.
+ * @return {Promise}
+ */
+async function loadProductSupplier(batch, supplierUri, offeringUri, supplier, jobUri) {
+  console.log(`Loading supplier for ${offeringUri}`);
+
+  if( !supplierUri ) {
+    await warnJob(jobUri, `Supplier ${supplier.id} "${supplier.name}" of offering ${offeringUri} is not in the suppliers list`);
+  } else {
+    const sameName = currentObjects(batch, supplierUri, iri("gr:name"))
+      .some( (name) => sameTerm(name, stringTerm(supplier.name || "")) );
+    if( !sameName )
+      await warnJob(jobUri, `Supplier ${supplier.id} of offering ${offeringUri} is named "${supplier.name}" in the product but differently in the suppliers list`);
+  }
+
+  // Update information of the supplier
+  if( supplierUri )
+    await ensureSupplierProfile(supplierUri, supplier, jobUri);
+}
+
+/**
+  * Loads the pages of each configured pickup point by walking over each page number.
+  * @param {string} jobUri Job for which the pages are loaded.
+  * @param {CacheOptions & { changes?: ChangeSet, dryRun?: boolean, pricesOnly?: boolean, exclusions?: Exclusions }} options
+  * Price-only runs use the prices of the listing pages instead of fetching the page of each product.
+ */
+async function loadPages(jobUri, options = {}) {
+  // The first page of each pickup point tells how many pages there are, so the progress has a total from the start.
+  const pickupPoints = [];
+  for ( const configuredPickupPoint of PICKUP_POINTS ) {
+    const pickupPointUri = options.dryRun
+      ? await findPickupPoint(configuredPickupPoint)
+      : await ensurePickupPoint(configuredPickupPoint);
+    const pickupPoint = { ...configuredPickupPoint, uri: pickupPointUri };
+    const firstPage = await ensurePage( pickupPoint, 0, { refresh: options.refresh, job: jobUri } );
+    pickupPoints.push({ pickupPoint, firstPage });
+  }
+  const pageCounts = pickupPoints.map( ({ firstPage }) => firstPage.totalPages );
+  updateJobProgress(jobUri, (progress) => {
+    progress.totalPages = pageCounts.every(Number.isInteger)
+      ? pageCounts.reduce( (total, count) => total + count, 0 )
+      : null;
+  });
+
+  for ( const { pickupPoint, firstPage } of pickupPoints ) {
+    let counter = 0;
+    let page;
+    do {
+      page = counter === 0
+        ? firstPage
+        : await ensurePage( pickupPoint, counter, { refresh: options.refresh, job: jobUri } );
+      console.log(`LOADING PAGE ${counter} OF STORE ${pickupPoint.storeId} PICKUP POINT ${pickupPoint.pickupPointId}`);
+      updateJobProgress(jobUri, (progress) => progress.currentPage++);
+      printBasicPricingInfo(page.content);
+      // Products are loaded in parallel, each collects its own changes so the report follows the order of the page.
+      await forEachInOrder(
+        page.content,
+        HARVEST_CONCURRENCY,
+        async (product) => {
+          console.log(`LOADING PRODUCT ${product.id}`);
+          console.log(JSON.stringify(product));
+          const changes = options.changes && createChangeSet();
+          try {
+            const outcome = await loadProduct(product, {
+              job: jobUri,
+              external: !options.pricesOnly,
+              refresh: options.refresh,
+              pickupPoint,
+              changes,
+              dryRun: options.dryRun,
+              pricesOnly: options.pricesOnly,
+              exclusions: options.exclusions
+            });
+            updateJobProgress(jobUri, (progress) => {
+              progress.productsSeen++;
+              if ( outcome === "created" )
+                progress.productsCreated++;
+              else if ( outcome === "updated" )
+                progress.productsUpdated++;
+              else if ( outcome === "excluded" || outcome === "skipped" )
+                progress.productsSkipped++;
+            });
+            return changes;
+          } catch (e) {
+            updateJobProgress(jobUri, (progress) => {
+              progress.productsSeen++;
+              progress.productsFailed++;
+            });
+            await recordProductFailure(jobUri, product, e, options);
+            return null;
+          }
+        },
+        (changes, index) => {
+          console.log(`LOADED PRODUCT ${page.content[index].id} (${index + 1}/${page.content.length} OF PAGE ${counter})`);
+          if ( changes )
+            appendChangeSet(options.changes, changes);
+        });
+      await saveJobProgress(jobUri);
+      counter++;
+    } while (page.last == false)
+
+    console.log(`ENDED WITH PAGE ${counter} OF STORE ${pickupPoint.storeId} PICKUP POINT ${pickupPoint.pickupPointId}`);
+  }
+}
+
+/**
+ * Records a product which failed to load on the job, so the harvest can continue with the other products.
+ *
+ * The product is still available on LFW, an existing product stays connected to the job so it is not retired.
+ * @param {string} jobUri Job which harvests the product.
+ * @param {Product} product The product payload from the page.
+ * @param {ProductLoadError|Error} error
+ * @param {{dryRun?: boolean}} options
+ */
+async function recordProductFailure(jobUri, product, error, options) {
+  await recordJobError(jobUri, {
+    productId: product.id,
+    step: error instanceof ProductLoadError ? error.step : undefined,
+    message: errorMessage(error)
+  });
+
+  if ( !options.dryRun ) {
+    const existing = await findProductMeta(product);
+    if ( existing )
+      await markProductSeen(existing.productUri, jobUri);
+  }
+}
+
+// Change sets of the dry runs which are running, by job URI.  Finished dry runs store theirs on the job.
+const DRY_RUN_CHANGE_SETS = new Map();
+
+/**
+ * Stores the change set of a dry run on its job.
+ * @param {string} jobUri
+ * @param {ChangeSet} changes
+ * @return {Promise}
+ */
+async function saveJobChangeSet(jobUri, changes) {
+  await update(`${PREFIXES}
+    DELETE WHERE {
+      ${sparqlEscapeUri(jobUri)} veeakker:changeSet ?changeSet.
+    }
+    ;
+    INSERT DATA {
+      ${sparqlEscapeUri(jobUri)} veeakker:changeSet ${sparqlEscapeString(JSON.stringify(changes))}.
+    }`);
+}
+
+/**
+ * Fetches the change set of a dry run, see saveJobChangeSet.
+ * @param {string} jobUri
+ * @return {Promise<ChangeSet|null>} The change set, null if the job has none.
+ */
+async function fetchJobChangeSet(jobUri) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?changeSet
+    WHERE {
+      ${sparqlEscapeUri(jobUri)} veeakker:changeSet ?changeSet.
+    } LIMIT 1`)).results.bindings;
+
+  return bindings.length ? JSON.parse(bindings[0].changeSet.value) : null;
+}
+
+/**
+ * Executes a full harvest for a running job, see createLoadJob, updating the job's status as it goes.
+ *
+ * Failures are logged and stored on the job, the returned promise does not reject for them.
+ * @param {string} jobUri Job to which the harvest is connected.
+ * @param {Object} options
+ * @param {boolean} options.refresh Skip the page-cache and fetch all pages from LFW.  Defaults to false.
+ * @param {boolean} options.dryRun Collect the changes on the job instead of writing them, see saveJobChangeSet.
+ * Defaults to false.
+ * @param {boolean} options.pricesOnly Only update the prices of the products which exist already.  Suppliers are not
+ * loaded and no products are retired.  Defaults to false.
+ * @return {Promise}
+ */
+async function runHarvest(jobUri, options = {}) {
+  if ( options.dryRun ) {
+    options = { ...options, changes: createChangeSet() };
+    DRY_RUN_CHANGE_SETS.set(jobUri, options.changes);
+  }
+
+  trackJobProgress(jobUri);
+  try {
+    await withJobHeartbeat(jobUri, async () => {
+      options = { ...options, exclusions: await fetchExclusions() };
+      if ( !options.pricesOnly ) {
+        await loadSuppliers(jobUri, options);
+        await saveJobProgress(jobUri);
+      }
+      await loadPages(jobUri, options);
+      if ( !options.dryRun && !options.pricesOnly )
+        await retireMissingProducts(jobUri);
+    });
+    await finishJob(jobUri);
+  } catch (e) {
+    console.error(`Harvest ${jobUri} failed: ${e}`);
+    await errorJob(jobUri, e);
+  } finally {
+    if ( options.dryRun ) {
+      try {
+        await saveJobChangeSet(jobUri, options.changes);
+      } catch (e) {
+        console.error(`Could not store the changes of dry run ${jobUri}: ${e}`);
+      }
+      DRY_RUN_CHANGE_SETS.delete(jobUri);
     }
+    await stopTrackingJobProgress(jobUri);
+  }
+}
+
+/**
+ * Runs a small harvest under a job of its own, collecting the changes it makes.
+ *
+ * Unlike runHarvest, failures are thrown after the job is marked as failed.
+ * @param {string} type One of JOB_TYPES.
+ * @throws {JobRunningError} When another job is running.
+ * @throws {JobFailedError} When the harvest failed.
+ * @param {(jobUri: string, changes: ChangeSet) => Promise} harvest Loads the information for the job.
+ * @return {Promise<{job: JobResource, changes: ChangeSet}>}
+ */
+async function runSmallHarvest(type, harvest) {
+  const job = await createLoadJob(type);
+  const changes = createChangeSet();
+  try {
+    await withJobHeartbeat(job.uri, () => harvest(job.uri, changes));
+    await finishJob(job.uri);
+    return { job, changes };
+  } catch (e) {
+    console.error(`Harvest ${job.uri} failed: ${e}`);
+    await errorJob(job.uri, e);
+    throw new JobFailedError(job, e);
+  }
+}
+
+/**
+ * Harvests a single product again, bypassing the page-cache.
+ *
+ * The product is loaded for the pickup points at which it is offered today, or for the first configured pickup point
+ * when it is new.
+ * @param {string} productId LFW identifier of the product.
+ * @return {Promise<{job: JobResource, changes: ChangeSet}>}
+ */
+async function reharvestProduct(productId) {
+  const existing = await findProductMeta({ id: productId });
+  const offeredAt = existing
+    ? (await query(`${PREFIXES}
+        SELECT DISTINCT ?location
+        WHERE {
+          ${sparqlEscapeUri(existing.productUri)} veeakker:offerings/gr:availableAtOrFrom ?location.
+        }`)).results.bindings.map( (binding) => binding.location.value )
+    : [];
+
+  const pickupPoints = [];
+  for( const pickupPoint of PICKUP_POINTS ) {
+    const uri = await ensurePickupPoint(pickupPoint);
+    if( offeredAt.includes(uri) )
+      pickupPoints.push({ ...pickupPoint, uri });
+  }
+  if( !pickupPoints.length )
+    pickupPoints.push({ ...PICKUP_POINTS[0], uri: await ensurePickupPoint(PICKUP_POINTS[0]) });
+
+  return await runSmallHarvest(JOB_TYPES.product, async (jobUri, changes) => {
+    for( const pickupPoint of pickupPoints )
+      await loadProduct({ id: productId }, { job: jobUri, external: true, refresh: true, pickupPoint, changes });
+  });
+}
+
+/**
+ * Harvests a single supplier again, bypassing the page-cache.
+ * @param {string} supplierId LFW identifier of the supplier.
+ * @return {Promise<{job: JobResource, changes: ChangeSet}|null>} null if no configured store lists the supplier.
+ */
+async function reharvestSupplier(supplierId) {
+  let supplierStoreId = null;
+  for( const storeId of new Set(PICKUP_POINTS.map( ({storeId}) => storeId )) ) {
+    const suppliers = await ensureSuppliersPage(storeId, { refresh: true });
+    if( !supplierStoreId && suppliers.some( (supplier) => `${supplier.id}` === `${supplierId}` ) )
+      supplierStoreId = storeId;
   }
+  if( !supplierStoreId )
+    return null;
+
+  return await runSmallHarvest(JOB_TYPES.supplier, async (jobUri, changes) => {
+    await loadSupplier(supplierStoreId, supplierId, jobUri, { refresh: true, changes });
+  });
+}
+
+// Kinds of scheduled runs and the type of job they start.
+const SCHEDULE_KINDS = {
+  harvest: JOB_TYPES.harvest,
+  prices: JOB_TYPES.prices
+};
+
+// Schedules which are stored when the triplestore has none yet, formatted as "kind=cron" and separated by semicolons,
+// eg: "harvest=0 3 * * *;prices=0 * * * *".
+const DEFAULT_HARVEST_SCHEDULES = process.env.HARVEST_SCHEDULES || "";
+
+/**
+ * @typedef {Object} HarvestSchedule
+ * @property {string} uri URI of the schedule.
+ * @property {string} uuid mu:uuid of the schedule.
+ * @property {string} kind One of the keys of SCHEDULE_KINDS.
+ * @property {string} cron Cron expression, evaluated in the timezone of the service.
+ * @property {boolean} enabled Whether the schedule starts runs.
+ * @property {string|null} nextRun When the schedule runs next.
+ * @property {string|null} lastRun When the schedule last started a job.
+ * @property {string|null} lastJob Job which was started by the last run.
+ * @property {string|null} lastSkipped When a run was last skipped because another job was running.
+ */
+
+/**
+ * Fetches the harvest schedules.
+ * @param {string} [scheduleUuid] Only fetch the schedule with this mu:uuid.
+ * @return {Promise<Array<HarvestSchedule>>}
+ */
+async function fetchHarvestSchedules(scheduleUuid) {
+  const bindings = (await query(`${PREFIXES}
+    SELECT ?schedule ?uuid ?type ?cron ?enabled ?nextRun ?lastRun ?lastJob ?lastSkipped
+    WHERE {
+      ?schedule a veeakker:LfwHarvestSchedule;
+        mu:uuid ?uuid;
+        dct:type ?type;
+        veeakker:cron ?cron;
+        veeakker:enabled ?enabled.
+      ${scheduleUuid ? `VALUES ?uuid { ${sparqlEscapeString(scheduleUuid)} }` : ""}
+      OPTIONAL { ?schedule veeakker:nextRun ?nextRun. }
+      OPTIONAL { ?schedule veeakker:lastRun ?lastRun. }
+      OPTIONAL { ?schedule veeakker:lastJob ?lastJob. }
+      OPTIONAL { ?schedule veeakker:lastSkipped ?lastSkipped. }
+    } ORDER BY ?nextRun`)).results.bindings;
 
-  // Now we know all entities have the desired identifier and we can set other properties fetched.  Today that's only the name.
+  return bindings.map( (binding) => ({
+    uri: binding.schedule.value,
+    uuid: binding.uuid.value,
+    kind: Object.keys(SCHEDULE_KINDS).find( (kind) => SCHEDULE_KINDS[kind] === binding.type.value ) || null,
+    cron: binding.cron.value,
+    enabled: ["true", "1"].includes(binding.enabled.value),
+    nextRun: binding.nextRun ? binding.nextRun.value : null,
+    lastRun: binding.lastRun ? binding.lastRun.value : null,
+    lastJob: binding.lastJob ? binding.lastJob.value : null,
+    lastSkipped: binding.lastSkipped ? binding.lastSkipped.value : null
+  }));
+}
 
-  await update(`${PREFIXES}
-  DELETE {
-    ?supplier gr:name ?oldName.
-  } INSERT {
-    ?supplier gr:name ?newName.
-  } WHERE {
-  VALUES ( ?externalIdentifier ?newName ) {
-    ${suppliers.map( (supplier) => {
-      return `( ${sparqlEscapeString(`${supplier.id}`)} ${sparqlEscapeString(supplier.name)})`
-    }).join(`\n    `)}
+/**
+ * Verifies the attributes of a schedule supplied by an admin.
+ * @param {{kind?: string, cron?: string, enabled?: boolean}} attributes
+ * @return {string|null} Description of the problem, null if the attributes are valid.
+ */
+function harvestScheduleProblem({ kind, cron, enabled }) {
+  if ( kind !== undefined && !Object.hasOwn(SCHEDULE_KINDS, kind) )
+    return `Unknown kind "${kind}", expected one of ${Object.keys(SCHEDULE_KINDS).join(", ")}`;
+  if ( enabled !== undefined && typeof enabled !== "boolean" )
+    return "enabled should be a boolean";
+  if ( cron !== undefined ) {
+    try {
+      nextCronRun(parseCron(`${cron}`));
+    } catch (e) {
+      return e.message;
     }
-    ?supplier a gr:BusinessEntity;
-      adms:identifier ?identifier.
-    ?identifier dct:creator <https://localfoodworks.eu/>;
-      skos:notation ?externalIdentifier.
+  }
+  return null;
+}
 
-    OPTIONAL { ?supplier gr:name ?oldName }
-  }`);
+/**
+ * Creates a harvest schedule.
+ * @param {{kind: string, cron: string, enabled?: boolean}} schedule Valid attributes of the schedule.
+ * @return {Promise<string>} mu:uuid of the new schedule.
+ */
+async function createHarvestSchedule({ kind, cron, enabled = true }) {
+  const scheduleUuid = uuid();
+  const scheduleUri = `http://veeakker.be/lfw-harvest-schedules/${scheduleUuid}`;
+  await update(`${PREFIXES}
+    INSERT DATA {
+      ${sparqlEscapeUri(scheduleUri)}
+        a veeakker:LfwHarvestSchedule;
+        mu:uuid ${sparqlEscapeString(scheduleUuid)};
+        dct:type ${sparqlEscapeUri(SCHEDULE_KINDS[kind])};
+        veeakker:cron ${sparqlEscapeString(cron)};
+        veeakker:enabled ${sparqlEscapeBool(enabled)};
+        veeakker:nextRun ${sparqlEscapeDateTime(nextCronRun(cron))};
+        dct:created ${sparqlEscapeDateTime(new Date())}.
+    }`);
+  return scheduleUuid;
 }
 
 /**
- * Loads the supplier information for a product, assuming the supplier is already in the database.
- * @param {string} offeringUri Product for which the supplier was found.
- * @param {SupplierInfo} supplier Detailed information of the supplier.
- * @return {Promise}
+ * Changes the kind, cron expression or enabled state of a schedule.  The next run follows the new cron expression.
+ * @param {HarvestSchedule} schedule
+ * @param {{kind?: string, cron?: string, enabled?: boolean}} changes Valid attributes to change.
  */
-async function loadProductSupplier(offeringUri, supplier) {
-  console.log(`Loading supplier for ${offeringUri}`);
+async function updateHarvestSchedule(schedule, { kind, cron, enabled }) {
+  const properties = [];
+  if ( kind !== undefined )
+    properties.push(["dct:type", sparqlEscapeUri(SCHEDULE_KINDS[kind])]);
+  if ( cron !== undefined ) {
+    properties.push(["veeakker:cron", sparqlEscapeString(cron)]);
+    properties.push(["veeakker:nextRun", sparqlEscapeDateTime(nextCronRun(cron))]);
+  }
+  if ( enabled !== undefined )
+    properties.push(["veeakker:enabled", sparqlEscapeBool(enabled)]);
+  if ( !properties.length )
+    return;
 
-  // Find the identifier of the supplier
-  const supplierInfos = (await query(`${PREFIXES}
-  SELECT ?supplier
-  WHERE {
-    ?supplier gr:name ${sparqlEscapeString(supplier.name)}.
-    }`)).results.bindings;
-  const supplierUri = supplierInfos.length ? supplierInfos[0].supplier.value : null;
-  const description = purify.sanitize(
-    (supplier.description || "").replaceAll("\n", "<br />"),
-    { USE_PROFILES: { html: true } }
-  );
+  await update(`${PREFIXES}
+    DELETE {
+      ${sparqlEscapeUri(schedule.uri)} ?p ?o.
+    } WHERE {
+      VALUES ?p { ${properties.map( ([predicate]) => predicate ).join(" ")} }
+      ${sparqlEscapeUri(schedule.uri)} ?p ?o.
+    };
+    INSERT DATA {
+      ${sparqlEscapeUri(schedule.uri)}
+        ${properties.map( ([predicate, value]) => `${predicate} ${value}` ).join(";\n        ")}.
+    }`);
+}
 
-  // Update information of the supplier
-  if( supplierUri ) {
-    await update(`${PREFIXES}
+/**
+ * Records that a schedule was due and moves its next run forward.
+ * @param {HarvestSchedule} schedule
+ * @param {Date} now Moment at which the schedule was handled.
+ * @param {string|null} jobUri Job which was started, null if the run was skipped.
+ */
+async function recordScheduledRun(schedule, now, jobUri) {
+  const properties = jobUri
+    ? [["veeakker:lastRun", sparqlEscapeDateTime(now)], ["veeakker:lastJob", sparqlEscapeUri(jobUri)]]
+    : [["veeakker:lastSkipped", sparqlEscapeDateTime(now)]];
+  properties.push(["veeakker:nextRun", sparqlEscapeDateTime(nextCronRun(schedule.cron, now))]);
+
+  await update(`${PREFIXES}
     DELETE {
-      ${sparqlEscapeUri(supplierUri)} ?p ?o.
+      ${sparqlEscapeUri(schedule.uri)} ?p ?o.
     } WHERE {
-      VALUES ?p { schema:email dct:description }
-      ${sparqlEscapeUri(supplierUri)} ?p ?o.
+      VALUES ?p { ${properties.map( ([predicate]) => predicate ).join(" ")} }
+      ${sparqlEscapeUri(schedule.uri)} ?p ?o.
     };
     INSERT DATA {
-      ${sparqlEscapeUri(supplierUri)} schema:email ${sparqlEscapeString(supplier.emailAddress)};
-        dct:description ${sparqlEscapeString(description)};
-        gr:offers ${sparqlEscapeUri(offeringUri)}.
-    }`)
+      ${sparqlEscapeUri(schedule.uri)}
+        ${properties.map( ([predicate, value]) => `${predicate} ${value}` ).join(";\n        ")}.
+    }`);
+}
+
+/**
+ * Stores the schedules of DEFAULT_HARVEST_SCHEDULES when the triplestore has no schedules yet.
+ */
+async function ensureDefaultHarvestSchedules() {
+  if ( !DEFAULT_HARVEST_SCHEDULES.trim() || (await fetchHarvestSchedules()).length )
+    return;
+
+  for ( const entry of DEFAULT_HARVEST_SCHEDULES.split(";").map( (entry) => entry.trim() ).filter( (entry) => entry ) ) {
+    const separator = entry.indexOf("=");
+    const schedule = { kind: entry.slice(0, separator).trim(), cron: entry.slice(separator + 1).trim() };
+    const problem = separator < 0 ? `expected "kind=cron"` : harvestScheduleProblem(schedule);
+    if ( problem )
+      console.error(`Ignoring harvest schedule "${entry}": ${problem}`);
+    else
+      await createHarvestSchedule(schedule);
   }
+}
+
+/**
+ * Starts a job for each enabled schedule which is due.
+ *
+ * Runs are skipped while another job is running, the schedule then waits for its next run.  Scheduled runs skip the
+ * page-cache, its time to live matches the usual schedules and would let every other run reuse the pages of the run
+ * before it.
+ */
+async function runDueHarvestSchedules() {
+  const now = new Date();
+  for ( const schedule of await fetchHarvestSchedules() ) {
+    if ( !schedule.enabled || !schedule.kind || (schedule.nextRun && new Date(schedule.nextRun) > now) )
+      continue;
 
-  // TODO: Attach the picture to the supplier
+    let job;
+    try {
+      job = await createLoadJob(SCHEDULE_KINDS[schedule.kind]);
+    } catch (e) {
+      if ( !(e instanceof JobRunningError) )
+        throw e;
+      console.log(`Skipping ${schedule.kind} run of schedule ${schedule.uri}: ${e.message}`);
+      await recordScheduledRun(schedule, now, null);
+      continue;
+    }
+
+    await recordScheduledRun(schedule, now, job.uri);
+    runHarvest(job.uri, { refresh: true, pricesOnly: schedule.kind === "prices" })
+      .catch((e) => console.error(`Could not update status of job ${job.uri}: ${e}`));
+  }
 }
 
 /**
-  * Loads the pages by walking over each page number.
+ * Checks the harvest schedules at the start of every minute.
  */
-async function loadPages(jobUri) {
-  let counter = 0;
-  let page;
-  do {
-    page = await ensurePage( counter );
-    console.log(`LOADING PAGE ${counter}`);
-    printBasicPricingInfo(page.content);
-    for ( const product of page.content ) {
-      console.log(`LOADING PRODUCT`);
-      console.log(JSON.stringify(product));
-      console.log(product);
-      await loadProduct(product, { job: jobUri, external: true });
+function startHarvestScheduler() {
+  const checkSchedules = async () => {
+    try {
+      await runDueHarvestSchedules();
+    } catch (e) {
+      console.error(`Could not run the harvest schedules: ${e}`);
     }
-    counter++;
-  } while (page.last == false)
+    setTimeout(checkSchedules, 60000 - Date.now() % 60000);
+  };
 
-  console.log(`ENDED WITH PAGE ${counter}`);
+  // Jobs which were running when the service stopped are recovered once they are stale.
+  recoverStaleJobs()
+    .catch((e) => console.error(`Could not recover stale jobs: ${e}`))
+    .then(ensureDefaultHarvestSchedules)
+    .catch((e) => console.error(`Could not store the default harvest schedules: ${e}`))
+    .then(ensureDefaultExclusions)
+    .catch((e) => console.error(`Could not store the default exclusions: ${e}`))
+    .then(checkSchedules);
 }
 
-const LOAD_PAGES_ON_STARTUP = false;  // NOTE: this may require updated acces rights
+// Give the triplestore some time to come up
+setTimeout(startHarvestScheduler, 2000);
+setTimeout(() => {
+  ensureAllergenConceptScheme()
+    .catch((e) => console.error(`Could not store the allergen concept scheme: ${e}`));
+}, 2000);
 
-setTimeout( async () => {
-  // downloadShareFile("https://veeakker.be/", "veeakker-index.html");
+/**
+ * Responds that a job could not start because another job is running, including the running job when it is known.
+ * @param {Response} res
+ * @param {JobRunningError} error
+ */
+async function sendJobRunning(res, error) {
+  const [runningJob] = error.runningJob ? await fetchJobStatusses(error.runningJob.uuid) : [];
+  res.status(409).send({
+    errors: [{ status: "409", title: "Another job is running, try again once it has finished" }],
+    meta: { runningJob: runningJob ? jobStatusToJsonApi(runningJob) : null }
+  });
+}
 
-  // A. load one product
-  // const page = await ensurePage( 0 );
-  // await loadProduct(page.content[0], { external: true });
-  // console.log(page.content[0]);
-  // console.log(JSON.stringify(page.content[0]));
+/**
+ * Responds that a small harvest failed, with the job on which the failure is recorded.
+ * @param {Response} res
+ * @param {JobFailedError} error
+ * @param {string} subject What was harvested. eg: "Product 1234"
+ */
+function sendJobFailed(res, error, subject) {
+  const status = error.notFoundInLfw ? 404 : 500;
+  res.status(status).send({
+    errors: [{
+      status: `${status}`,
+      title: error.notFoundInLfw ? `${subject} does not exist in LFW` : `Failed to harvest ${subject.toLowerCase()}`
+    }],
+    links: { job: `/harvest/jobs/${error.job.uuid}` }
+  });
+}
 
-  // B. load all pages
-  const loadAllPages = LOAD_PAGES_ON_STARTUP;
-  if (loadAllPages) {
-    const jobUri = await createLoadJob();
+/**
+ * Initiates a harvesting process.
+ *
+ * The harvest runs in the background, the response contains the job which can be followed through `/harvest/jobs/:id`.
+ * Supply `?refresh=true` to skip the page-cache.  Supply `?dryRun=true` to only collect the changes the harvest would
+ * make, these are available at `/harvest/jobs/:id/changes`.  Responds with 409 and the running job while another job
+ * runs.
+ */
+app.post('/harvest', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const dryRun = req.query.dryRun === "true";
+    let job;
     try {
-      await startJob(jobUri);
-      await loadSuppliers(jobUri);
-      await loadPages(jobUri);
-      await finishJob(jobUri);
+      job = await createLoadJob(dryRun ? JOB_TYPES.dryRun : JOB_TYPES.harvest);
     } catch (e) {
-      await errorJob(jobUri);
+      if( e instanceof JobRunningError ) {
+        await sendJobRunning(res, e);
+      } else {
+        console.error(`Could not start a harvest: ${errorMessage(e)}`);
+        res.status(500).send("Failed to start the harvest");
+      }
+      return;
     }
+    runHarvest(job.uri, { refresh: req.query.refresh === "true", dryRun })
+      .catch((e) => console.error(`Could not update status of job ${job.uri}: ${e}`));
+    res.status(202).send({
+      data: { type: "lfw-fetch-jobs", id: job.uuid, attributes: { uri: job.uri } }
+    });
+  } else {
+    res.status(403).send("Missing access rights");
   }
-  // C. debugging information
-  // for ( const product of page.content ) {
-  //   console.log(`LOADING PRODUCT`);
-  //   console.log(JSON.stringify(product));
-  //   console.log(product);
-  //   await loadProduct(product);
-  // }
-  // console.log("Loaded product");
-  // console.log(
-  //   [... new Set(
-  //     page
-  //       .content
-  //       .map( (product) => product.pricing.consumerPrice.measurementUnitPrice.unitOfMeasurement ))]
-  // );
-}, 2000);
+});
 
 /**
- * Initiates a harvesting process.
+ * Harvests a single product again and yields the changes it made.
+ *
+ * Responds with 404 when LFW does not know the product.  Failures link to the job on which the error is recorded.
  */
-app.post('/harvest', async function(req, res) {
+app.post('/harvest/products/:lfwId', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    try {
+      const { job, changes } = await reharvestProduct(req.params.lfwId);
+      res.send({
+        data: { type: "change-sets", id: job.uuid, attributes: changes },
+        links: { job: `/harvest/jobs/${job.uuid}` }
+      });
+    } catch (e) {
+      if( e instanceof JobRunningError )
+        await sendJobRunning(res, e);
+      else if( e instanceof JobFailedError )
+        sendJobFailed(res, e, `Product ${req.params.lfwId}`);
+      else
+        res.status(500).send(`Failed to harvest product ${req.params.lfwId}`);
+    }
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Harvests a single supplier again and yields the changes it made.
+ *
+ * Responds with 404 when LFW does not know the supplier.  Failures link to the job on which the error is recorded.
+ */
+app.post('/harvest/suppliers/:lfwId', async function(req, res) {
   if( await isAdminUser(req) ) {
-    const jobUri = await createLoadJob();
     try {
-      await startJob(jobUri);
-      await loadSuppliers(jobUri);
-      await loadPages(jobUri);
-      await finishJob(jobUri);
-      res.status(200).send("Harvest successful");
+      const result = await reharvestSupplier(req.params.lfwId);
+      if( result ) {
+        const { job, changes } = result;
+        res.send({
+          data: { type: "change-sets", id: job.uuid, attributes: changes },
+          links: { job: `/harvest/jobs/${job.uuid}` }
+        });
+      } else {
+        res.status(404).send(`Supplier ${req.params.lfwId} is not listed by the configured stores`);
+      }
     } catch (e) {
-      console.error(`${e}`);
-      await errorJob(jobUri);
-      res.status(500).send("Failed to harvest");
+      if( e instanceof JobRunningError )
+        await sendJobRunning(res, e);
+      else if( e instanceof JobFailedError )
+        sendJobFailed(res, e, `Supplier ${req.params.lfwId}`);
+      else
+        res.status(500).send(`Failed to harvest supplier ${req.params.lfwId}`);
+    }
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Lists the harvesting jobs and their status, most recent first.
+ */
+app.get('/harvest/jobs', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const jobs = await fetchJobStatusses();
+    res.send({ data: jobs.map(jobStatusToJsonApi) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Yields the status of a single harvesting job.
+ */
+app.get('/harvest/jobs/:id', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [job] = await fetchJobStatusses(req.params.id);
+    if( job ) {
+      const retiredProducts = await fetchRetiredProducts(job.uri);
+      const warnings = await fetchJobWarnings(job.uri);
+      const errors = await fetchJobErrors(job.uri);
+      res.send({ data: jobStatusToJsonApi({ ...job, retiredProducts, warnings, errors }) });
+    } else
+      res.status(404).send("Job not found");
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Follows the progress of a harvesting job.
+ *
+ * Yields the counters of the job as JSON.  Clients which accept `text/event-stream`, such as an EventSource, receive a
+ * `progress` event whenever a counter changes and an `end` event with the job's status once the job has stopped.
+ */
+app.get('/harvest/jobs/:id/progress', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [job] = await fetchJobStatusses(req.params.id);
+    if( !job ) {
+      res.status(404).send("Job not found");
+      return;
+    }
+
+    const progressToJsonApi = (progress) => ({ type: "lfw-job-progress", id: job.uuid, attributes: progress });
+    const progress = await fetchJobProgress(job.uri);
+    if( !(req.get("accept") || "").includes("text/event-stream") ) {
+      res.send({ data: progressToJsonApi(progress) });
+      return;
+    }
+
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+    res.flushHeaders();
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const sendEnd = async () => {
+      const [finishedJob] = await fetchJobStatusses(job.uuid);
+      sendEvent("end", { data: jobStatusToJsonApi(finishedJob) });
+      res.end();
+    };
+    const onProgress = (jobUri, progress) => {
+      if( jobUri === job.uri )
+        sendEvent("progress", { data: progressToJsonApi(progress) });
+    };
+    const onEnd = (jobUri) => {
+      if( jobUri === job.uri ) {
+        stopListening();
+        sendEnd().catch( (e) => console.error(`Could not end progress of job ${job.uri}: ${e}`) );
+      }
+    };
+    const stopListening = () => {
+      PROGRESS_EVENTS.off("progress", onProgress);
+      PROGRESS_EVENTS.off("end", onEnd);
+    };
+
+    sendEvent("progress", { data: progressToJsonApi(progress) });
+    if( JOB_PROGRESS.has(job.uri) ) {
+      PROGRESS_EVENTS.on("progress", onProgress);
+      PROGRESS_EVENTS.on("end", onEnd);
+      req.on("close", stopListening);
+    } else {
+      await sendEnd();
+    }
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Renders a harvest schedule as a JSON:API resource object.
+ * @param {HarvestSchedule} schedule
+ * @return {Object}
+ */
+function harvestScheduleToJsonApi(schedule) {
+  const { uuid, ...attributes } = schedule;
+  return { type: "lfw-harvest-schedules", id: uuid, attributes };
+}
+
+/**
+ * Lists the schedules at which harvests run automatically, with their next and last runs.
+ */
+app.get('/harvest/schedules', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const schedules = await fetchHarvestSchedules();
+    res.send({ data: schedules.map(harvestScheduleToJsonApi) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Adds a schedule.
+ *
+ * Expects `{ data: { attributes: { kind, cron, enabled } } }`, kind is "harvest" for full harvests or "prices" for
+ * price-only runs.  enabled defaults to true.
+ */
+app.post('/harvest/schedules', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const attributes = (req.body && req.body.data && req.body.data.attributes) || {};
+    const { kind, cron, enabled } = attributes;
+    const problem = !kind || !cron ? "Supply a kind and a cron expression" : harvestScheduleProblem(attributes);
+    if( problem ) {
+      res.status(400).send(problem);
+      return;
+    }
+
+    const scheduleUuid = await createHarvestSchedule({ kind, cron: `${cron}`, enabled });
+    const [schedule] = await fetchHarvestSchedules(scheduleUuid);
+    res.status(201).send({ data: harvestScheduleToJsonApi(schedule) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Changes the kind, cron expression or enabled state of a schedule.
+ */
+app.patch('/harvest/schedules/:id', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [schedule] = await fetchHarvestSchedules(req.params.id);
+    if( !schedule ) {
+      res.status(404).send("Schedule not found");
+      return;
+    }
+
+    const attributes = (req.body && req.body.data && req.body.data.attributes) || {};
+    const { kind, cron, enabled } = attributes;
+    const problem = harvestScheduleProblem(attributes);
+    if( problem ) {
+      res.status(400).send(problem);
+      return;
+    }
+
+    await updateHarvestSchedule(schedule, { kind, cron: cron === undefined ? undefined : `${cron}`, enabled });
+    const [updatedSchedule] = await fetchHarvestSchedules(req.params.id);
+    res.send({ data: harvestScheduleToJsonApi(updatedSchedule) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Removes a schedule, jobs it started are kept.
+ */
+app.delete('/harvest/schedules/:id', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [schedule] = await fetchHarvestSchedules(req.params.id);
+    if( schedule ) {
+      await update(`${PREFIXES}
+        DELETE WHERE {
+          ${sparqlEscapeUri(schedule.uri)} ?p ?o.
+        }`);
+      res.status(204).send();
+    } else {
+      res.status(404).send("Schedule not found");
+    }
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Yields the change set collected by a dry run.
+ */
+app.get('/harvest/jobs/:id/changes', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [job] = await fetchJobStatusses(req.params.id);
+    const changes = job && (DRY_RUN_CHANGE_SETS.get(job.uri) || await fetchJobChangeSet(job.uri));
+    if( changes )
+      res.send({ data: { type: "change-sets", id: job.uuid, attributes: changes } });
+    else
+      res.status(404).send("No changes available for this job");
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Yields the price timeline of a product, including its former prices.
+ */
+app.get('/products/:id/price-history', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const history = await fetchPriceHistory(req.params.id);
+    res.send({
+      data: history.map( ({ uuid, ...attributes }) => ({ type: "price-specifications", id: uuid, attributes }) )
+    });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Yields the fields of a product which staff locked against the harvest.
+ */
+app.get('/products/:id/locked-fields', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const lockedFields = await fetchLockedFields(req.params.id);
+    if( lockedFields )
+      res.send({ data: { type: "locked-fields", id: req.params.id, attributes: { fields: lockedFields.fields } } });
+    else
+      res.status(404).send("Product not found");
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Replaces the fields of a product which the harvest may not overwrite.
+ *
+ * Expects `{ data: { attributes: { fields } } }` with fields a list of "title", "description", "plu" and "sortIndex".
+ */
+app.patch('/products/:id/locked-fields', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const lockedFields = await fetchLockedFields(req.params.id);
+    if( !lockedFields ) {
+      res.status(404).send("Product not found");
+      return;
+    }
+
+    const attributes = (req.body && req.body.data && req.body.data.attributes) || {};
+    const fields = attributes.fields;
+    const knownFields = PROTECTED_FIELDS.map( ({ field }) => field );
+    if( !Array.isArray(fields) || fields.some( (field) => !knownFields.includes(field) ) ) {
+      res.status(400).send(`Supply fields as a list of ${knownFields.join(", ")}`);
+      return;
+    }
+
+    await updateLockedFields(lockedFields.uri, [...new Set(fields)]);
+    const updatedLockedFields = await fetchLockedFields(req.params.id);
+    res.send({ data: { type: "locked-fields", id: req.params.id, attributes: { fields: updatedLockedFields.fields } } });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Lists the offerings of LFW products which can not be ordered right now.
+ */
+app.get('/products/unorderable', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const offerings = await fetchUnorderableOfferings();
+    res.send({
+      data: offerings.map( ({ uuid, ...attributes }) => ({ type: "unorderable-offerings", id: uuid, attributes }) )
+    });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Renders an exclusion as a JSON:API resource object.
+ * @param {Exclusion} exclusion
+ * @return {Object}
+ */
+function exclusionToJsonApi(exclusion) {
+  const { uuid, ...attributes } = exclusion;
+  return { type: "lfw-exclusions", id: uuid, attributes };
+}
+
+/**
+ * Lists the suppliers and products which are excluded from harvesting.
+ */
+app.get('/exclusions', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const exclusions = await fetchExclusionList();
+    res.send({ data: exclusions.map(exclusionToJsonApi) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Excludes a supplier or a product from harvesting.
+ *
+ * Expects `{ data: { attributes: { supplierId, supplierName, productId, reason } } }` with one of supplierId,
+ * supplierName or productId.  Suppliers are best excluded by their identifier, the name is for suppliers which do not
+ * have one in the product listing.
+ * Products which were imported earlier are unpublished by the next harvest.
+ */
+app.post('/exclusions', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const attributes = (req.body && req.body.data && req.body.data.attributes) || {};
+    const { supplierId, supplierName, productId, reason } = attributes;
+    if( [supplierId, supplierName, productId].filter( (value) => value ).length !== 1 ) {
+      res.status(400).send("Supply one of supplierId, supplierName or productId");
+      return;
+    }
+
+    const exclusionUuid = await createExclusion({ supplierId, supplierName, productId, reason });
+    const [exclusion] = await fetchExclusionList(exclusionUuid);
+    res.status(201).send({ data: exclusionToJsonApi(exclusion) });
+  } else {
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Removes an exclusion.  Products which were unpublished because of it are not published again automatically.
+ */
+app.delete('/exclusions/:id', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const [exclusion] = await fetchExclusionList(req.params.id);
+    if( exclusion ) {
+      await update(`${PREFIXES}
+        DELETE WHERE {
+          ${sparqlEscapeUri(exclusion.uri)} ?p ?o.
+        }`);
+      res.status(204).send();
+    } else {
+      res.status(404).send("Exclusion not found");
     }
   } else {
-    res.status(500).send("Missing access rights");
+    res.status(403).send("Missing access rights");
+  }
+});
+
+/**
+ * Removes the files which the harvest downloaded to /share and to which no resource refers anymore.  Supply
+ * `?dryRun=true` to only list them.
+ */
+app.post('/maintenance/orphaned-files', async function(req, res) {
+  if( await isAdminUser(req) ) {
+    const dryRun = req.query.dryRun === "true";
+    const orphans = await removeOrphanedShareFiles({ dryRun });
+    res.send({
+      data: orphans.map( (fileName) => ({ type: "orphaned-files", id: fileName, attributes: { fileName, removed: !dryRun } }) )
+    });
+  } else {
+    res.status(403).send("Missing access rights");
   }
 });
 
@@ -0,0 +1,159 @@
+// Minimal cron expressions: five fields (minute hour day-of-month month day-of-week) of numbers, ranges, steps and
+// lists, plus the @hourly, @daily, @weekly, @monthly and @yearly shorthands.  Times are in the service's timezone.
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *"
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+// Runs further away than this are considered impossible, eg: the 31st of February.
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Invalid cron expression.
+ */
+export class CronExpressionError extends Error {
+  /**
+   * @param {string} message Description of the problem.
+   * @param {string} expression The invalid expression.
+   */
+  constructor(message, expression) {
+    super(`Invalid cron expression "${expression}": ${message}`);
+    this.name = "CronExpressionError";
+    this.expression = expression;
+  }
+}
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {string} expression The expression as it was supplied.
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} daysOfMonth
+ * @property {Set<number>} months
+ * @property {Set<number>} daysOfWeek Sunday is 0.
+ * @property {boolean} anyDayOfMonth Whether the day of month field is `*`.
+ * @property {boolean} anyDayOfWeek Whether the day of week field is `*`.
+ */
+
+/**
+ * Parses a single field of a cron expression.
+ * @param {string} field Text of the field.
+ * @param {{name: string, min: number, max: number}} range Allowed values.
+ * @param {string} expression Complete expression, for error messages.
+ * @return {Set<number>}
+ */
+function parseField(field, { name, min, max }, expression) {
+  const values = new Set();
+  for ( const part of field.split(",") ) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if ( !match )
+      throw new CronExpressionError(`could not parse ${name} "${part}"`, expression);
+
+    const [, , startText, endText, stepText] = match;
+    const start = startText === undefined ? min : parseInt(startText);
+    const end = endText !== undefined ? parseInt(endText) : startText === undefined || stepText ? max : start;
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+
+    if ( start < min || end > max || start > end )
+      throw new CronExpressionError(`${name} "${part}" is outside of ${min}-${max}`, expression);
+    if ( step < 1 )
+      throw new CronExpressionError(`${name} "${part}" has an invalid step`, expression);
+
+    for ( let value = start; value <= end; value += step )
+      values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression
+ * @return {CronSchedule}
+ * @throws {CronExpressionError} When the expression is invalid.
+ */
+export function parseCron(expression) {
+  const fields = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+  if ( fields.length !== FIELDS.length )
+    throw new CronExpressionError(`expected ${FIELDS.length} fields`, expression);
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] =
+    fields.map( (field, index) => parseField(field, FIELDS[index], expression) );
+  if ( daysOfWeek.has(7) )
+    daysOfWeek.add(0);
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*"
+  };
+}
+
+/**
+ * Whether the schedule runs on the day of the date.
+ *
+ * As in cron, a day matches either field when both the day of month and the day of week are restricted.
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @return {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if ( schedule.anyDayOfMonth || schedule.anyDayOfWeek )
+    return dayOfMonth && dayOfWeek;
+  else
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Calculates the first moment after a date at which the schedule runs.
+ * @param {CronSchedule|string} schedule Parsed schedule or cron expression.
+ * @param {Date} [after] Moment after which to search, defaults to now.
+ * @return {Date}
+ * @throws {CronExpressionError} When the schedule never runs.
+ */
+export function nextCronRun(schedule, after = new Date()) {
+  if ( typeof schedule === "string" )
+    schedule = parseCron(schedule);
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_YEARS_AHEAD);
+
+  while ( date < limit ) {
+    if ( !schedule.months.has(date.getMonth() + 1) ) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if ( !matchesDay(schedule, date) ) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if ( !schedule.hours.has(date.getHours()) ) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if ( !schedule.minutes.has(date.getMinutes()) ) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new CronExpressionError("it never runs", schedule.expression);
+}
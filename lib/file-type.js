@@ -0,0 +1,115 @@
+// Recognises the type of a file from its first bytes, so we do not depend on the extension or on what the server claims.
+
+const SIGNATURES = [
+  { mimeType: "image/jpeg", matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimeType: "image/png", matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: "image/gif", matches: (buffer) => ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a" },
+  { mimeType: "image/webp", matches: (buffer) => ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP" },
+  { mimeType: "image/avif", matches: (buffer) => ascii(buffer, 4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(buffer, 8, 12)) },
+  { mimeType: "image/bmp", matches: (buffer) => ascii(buffer, 0, 2) === "BM" },
+  { mimeType: "image/tiff", matches: (buffer) => ["II*\0", "MM\0*"].includes(ascii(buffer, 0, 4)) },
+  { mimeType: "application/pdf", matches: (buffer) => ascii(buffer, 0, 5) === "%PDF-" },
+  { mimeType: "image/svg+xml", matches: (buffer) => /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(leadingText(buffer)) },
+  { mimeType: "text/html", matches: (buffer) => /^(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(leadingText(buffer)) }
+];
+
+function startsWith(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every( (byte, index) => buffer[index] === byte );
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString("latin1", start, end) : "";
+}
+
+/**
+ * The start of a text file without byte order mark and leading whitespace.
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+function leadingText(buffer) {
+  return buffer.toString("utf8", 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, "").trimStart();
+}
+
+/**
+ * Reads the size of a JPEG image from its first start of frame segment.
+ * @param {Buffer} buffer
+ * @return {{width: number, height: number}|null}
+ */
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while ( offset + 9 <= buffer.length ) {
+    if ( buffer[offset] !== 0xff )
+      return null;
+    const marker = buffer[offset + 1];
+    if ( marker === 0xff ) {
+      // padding before a marker
+      offset++;
+      continue;
+    }
+    if ( marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) )
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Reads the size of a WebP image from its first chunk.
+ * @param {Buffer} buffer
+ * @return {{width: number, height: number}|null}
+ */
+function webpDimensions(buffer) {
+  const chunk = ascii(buffer, 12, 16);
+  if ( chunk === "VP8 " && buffer.length >= 30 )
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  if ( chunk === "VP8L" && buffer.length >= 25 ) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if ( chunk === "VP8X" && buffer.length >= 30 )
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  return null;
+}
+
+/**
+ * Reads the size of an AVIF image from its image spatial extents property.
+ * @param {Buffer} buffer
+ * @return {{width: number, height: number}|null}
+ */
+function avifDimensions(buffer) {
+  const offset = buffer.indexOf("ispe", 0, "latin1");
+  if ( offset < 0 || offset + 16 > buffer.length )
+    return null;
+  return { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+}
+
+const DIMENSION_READERS = {
+  "image/jpeg": jpegDimensions,
+  "image/png": (buffer) =>
+    buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null,
+  "image/gif": (buffer) =>
+    buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null,
+  "image/webp": webpDimensions,
+  "image/avif": avifDimensions
+};
+
+/**
+ * Detects the MIME type of a file from its contents.
+ * @param {Buffer} buffer Contents of the file.
+ * @return {string|null} The MIME type, null when the format is not recognised.
+ */
+export function detectMimeType(buffer) {
+  const signature = SIGNATURES.find( ({ matches }) => matches(buffer) );
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Reads the width and height of an image from its header.
+ * @param {Buffer} buffer Contents of the image.
+ * @param {string} mimeType MIME type of the image, as detected by detectMimeType.
+ * @return {{width: number, height: number}|null} Size in pixels, null when it could not be read.
+ */
+export function imageDimensions(buffer, mimeType) {
+  const reader = DIMENSION_READERS[mimeType];
+  return reader ? reader(buffer) : null;
+}
@@ -0,0 +1,216 @@
+// Shared HTTP client for everything we fetch from LFW.  Requests are spread out to stay within a requests-per-second
+// budget, transient failures are retried with an exponential backoff and responses are only returned when their status
+// and content type are as expected.
+
+import fs from 'fs';
+
+const REQUESTS_PER_SECOND = parseFloat(process.env.LFW_REQUESTS_PER_SECOND || "5");
+const MAX_RETRIES = parseInt(process.env.LFW_MAX_RETRIES || "3");
+const RETRY_BASE_DELAY = parseInt(process.env.LFW_RETRY_BASE_DELAY_MS || "500");
+const MAX_RETRY_DELAY = parseInt(process.env.LFW_MAX_RETRY_DELAY_MS || "60000");
+const TRANSIENT_STATUSSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Failure to fetch a resource from LFW.
+ */
+export class LfwRequestError extends Error {
+  /**
+   * @param {string} message Description of the failure.
+   * @param {string} url URL which was requested.
+   * @param {number|null} status HTTP status of the response, null when no response was received.
+   * @param {boolean} transient Whether trying again later may succeed.
+   */
+  constructor(message, url, status, transient) {
+    super(message);
+    this.name = "LfwRequestError";
+    this.url = url;
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+/**
+ * A file which is larger than the caller accepts.  It is not read any further than needed to know.
+ */
+export class FileTooLargeError extends LfwRequestError {
+  /**
+   * @param {string} url URL which was requested.
+   * @param {number} size Size of the file in bytes, or the amount of bytes read before giving up.
+   * @param {number} maxSize Accepted size in bytes.
+   */
+  constructor(url, size, maxSize) {
+    super(`Request to ${url} yielded a file of more than ${maxSize} bytes`, url, 200, false);
+    this.name = "FileTooLargeError";
+    this.size = size;
+    this.maxSize = maxSize;
+  }
+}
+
+let nextRequestSlot = 0;
+
+/**
+ * Waits until a request fits in the requests-per-second budget.
+ * @return {Promise}
+ */
+async function waitForRequestSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestSlot);
+  nextRequestSlot = slot + 1000 / REQUESTS_PER_SECOND;
+  if ( slot > now )
+    await sleep(slot - now);
+}
+
+function sleep(ms) {
+  return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+/**
+ * Milliseconds to wait before retrying, honouring the Retry-After header when the server supplies one.  The delay never
+ * exceeds LFW_MAX_RETRY_DELAY_MS so a server can not stall the harvest.
+ * @param {number} attempt Number of the failed attempt, starting at 0.
+ * @param {Response|null} response The failed response, if any.
+ * @return {number}
+ */
+function retryDelay(attempt, response) {
+  let delay = RETRY_BASE_DELAY * 2 ** attempt;
+  const retryAfter = response && response.headers.get("retry-after");
+  if ( retryAfter ) {
+    const seconds = parseFloat(retryAfter);
+    const date = Date.parse(retryAfter);
+    if ( !isNaN(seconds) )
+      delay = seconds * 1000;
+    else if ( !isNaN(date) )
+      delay = Math.max(0, date - Date.now());
+  }
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Fetches a URL, retrying transient failures, and verifies the response.
+ * @param {string} url URL to fetch.
+ * @param {RegExp} contentType Content types which are accepted.
+ * @return {Promise<Response>} Successful response with an accepted content type.
+ */
+async function fetchVerified(url, contentType) {
+  for ( let attempt = 0; ; attempt++ ) {
+    await waitForRequestSlot();
+
+    let response = null;
+    let error;
+    try {
+      response = await fetch(url);
+      if ( !response.ok ) {
+        error = new LfwRequestError(
+          `Request to ${url} failed with status ${response.status}`,
+          url, response.status, TRANSIENT_STATUSSES.includes(response.status));
+      } else if ( !contentType.test(response.headers.get("content-type") || "") ) {
+        error = new LfwRequestError(
+          `Request to ${url} yielded unexpected content type "${response.headers.get("content-type")}"`,
+          url, response.status, false);
+      } else {
+        return response;
+      }
+    } catch (e) {
+      // fetch only rejects when no response could be received
+      error = new LfwRequestError(`Request to ${url} failed: ${e.message}`, url, null, true);
+    }
+
+    // release the connection of the failed response, its body is never read
+    if ( response && response.body )
+      await response.body.cancel().catch( () => null );
+
+    if ( !error.transient || attempt >= MAX_RETRIES )
+      throw error;
+
+    const delay = retryDelay(attempt, response);
+    console.log(`${error.message}, retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetches a JSON document from LFW.
+ * @param {string} url URL of the document.
+ * @return {Promise<Object>} Parsed JSON body.
+ */
+export async function fetchJSON(url) {
+  const response = await fetchVerified(url, /^application\/([\w.+-]+\+)?json\b/);
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new LfwRequestError(`Request to ${url} yielded invalid JSON: ${e.message}`, url, response.status, false);
+  }
+}
+
+/**
+ * Fetches a binary file.
+ *
+ * Files larger than maxSize are refused from their Content-Length, or as soon as more is received when the length is not
+ * announced.
+ * @param {string} url URL of the file.
+ * @param {RegExp} contentType Content types which are accepted.
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] Largest accepted file in bytes.  Defaults to Infinity.
+ * @return {Promise<{buffer: Buffer, contentType: string}>} The file's contents and its content type.
+ * @throws {FileTooLargeError} When the file is larger than maxSize.
+ */
+export async function fetchFile(url, contentType, { maxSize = Infinity } = {}) {
+  const response = await fetchVerified(url, contentType);
+
+  const contentLength = parseInt(response.headers.get("content-length"));
+  if ( contentLength > maxSize ) {
+    await response.body.cancel().catch( () => null );
+    throw new FileTooLargeError(url, contentLength, maxSize);
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    // leaving the loop cancels the body
+    for await ( const chunk of response.body || [] ) {
+      size += chunk.length;
+      if ( size > maxSize )
+        throw new FileTooLargeError(url, size, maxSize);
+      chunks.push(chunk);
+    }
+  } catch (e) {
+    if ( e instanceof FileTooLargeError )
+      throw e;
+    throw new LfwRequestError(`Request to ${url} failed while reading: ${e.message}`, url, response.status, true);
+  }
+
+  return {
+    buffer: Buffer.concat(chunks),
+    contentType: response.headers.get("content-type")
+  };
+}
+
+/**
+ * Fetches a JSON document from LFW, keeping a copy on disk which is used for as long as it is fresh.
+ *
+ * Only successful responses are cached, failures are thrown and leave the cache as it was.
+ * @param {string} url URL of the document.
+ * @param {string} filePath Place of the cached copy.
+ * @param {Object} options
+ * @param {number} [options.ttl] Maximum age of the cached copy in seconds.  Defaults to Infinity.
+ * @param {boolean} [options.refresh] Ignore the cached copy and fetch the document again.  Defaults to false.
+ * @return {Promise<{body: Object, fetchedAt: Date}>} Parsed JSON body and the moment it was fetched from LFW.
+ */
+export async function fetchCachedJSON(url, filePath, { ttl = Infinity, refresh = false } = {}) {
+  if ( !refresh ) {
+    try {
+      const { mtime } = fs.statSync(filePath);
+      if ( Date.now() - mtime.getTime() < ttl * 1000 )
+        return { body: JSON.parse(fs.readFileSync(filePath)), fetchedAt: mtime };
+      console.log(`File "${filePath}" for url "${url}" expired, fetching`);
+    } catch (e) {
+      console.log(`Could not find file "${filePath}" for url "${url}" , fetching`);
+    }
+  }
+
+  const body = await fetchJSON(url);
+  // write next to the cached file first so a crash never leaves a partial page behind
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(body));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  return { body, fetchedAt: new Date() };
+}
@@ -0,0 +1,292 @@
+import { update, sparqlEscapeUri, sparqlEscapeString } from 'mu';
+
+// A triple batch holds the current triples of a set of resources, read in a single query, and collects the triples to
+// delete and insert for them.  The batch is written in a single update so the resources are never half-written.
+
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+const NUMERIC_DATATYPES = ["decimal", "integer", "int", "long", "double", "float"].map( (type) => `${XSD}${type}` );
+
+/**
+ * @typedef {Object} Term
+ * @property {"uri"|"literal"} type Kind of RDF term.
+ * @property {string} value Value of the URI or lexical form of the literal.
+ * @property {string} [datatype] Datatype of a typed literal.
+ * @property {string} [language] Language of a language tagged literal.
+ */
+
+/**
+ * @typedef {Object} Triple
+ * @property {string} subject URI of the subject.
+ * @property {string} predicate URI of the predicate.
+ * @property {Term} object
+ */
+
+/**
+ * @typedef {Object} TripleBatch
+ * @property {Array<Triple>} current Triples as they were read from the triplestore.
+ * @property {Array<Triple>} deletes Triples to remove.
+ * @property {Array<Triple>} inserts Triples to add.
+ */
+
+export function uriTerm(value) {
+  return { type: "uri", value };
+}
+
+export function stringTerm(value) {
+  return { type: "literal", value: `${value}` };
+}
+
+export function decimalTerm(value) {
+  return { type: "literal", value: `${value}`, datatype: `${XSD}decimal` };
+}
+
+export function integerTerm(value) {
+  return { type: "literal", value: `${Math.round(value)}`, datatype: `${XSD}integer` };
+}
+
+export function booleanTerm(value) {
+  return { type: "literal", value: value ? "true" : "false", datatype: `${XSD}boolean` };
+}
+
+/**
+ * @param {string} value Date as YYYY-MM-DD.
+ * @return {Term}
+ */
+export function dateTerm(value) {
+  return { type: "literal", value, datatype: `${XSD}date` };
+}
+
+export function dateTimeTerm(date) {
+  return { type: "literal", value: date.toISOString(), datatype: `${XSD}dateTime` };
+}
+
+/**
+ * Converts a term of a SPARQL JSON result binding.
+ * @param {Object} binding Binding as returned by the query.
+ * @return {Term|null} The term, null for blank nodes which can not be referred to.
+ */
+function termFromBinding(binding) {
+  if ( binding.type === "uri" )
+    return uriTerm(binding.value);
+  else if ( binding.type === "bnode" )
+    return null;
+  else
+    return { type: "literal", value: binding.value, datatype: binding.datatype, language: binding["xml:lang"] };
+}
+
+/**
+ * Boolean value of a literal, the triplestore may yield booleans as the integers 1 and 0.
+ * @param {Term} term
+ * @param {string} datatype Datatype of the literal.
+ * @return {boolean|null} Null when the literal is no boolean.
+ */
+function booleanValue(term, datatype) {
+  if ( datatype === `${XSD}boolean` )
+    return ["true", "1"].includes(term.value);
+  if ( NUMERIC_DATATYPES.includes(datatype) && ["0", "1"].includes(term.value) )
+    return term.value === "1";
+  return null;
+}
+
+/**
+ * Whether two terms denote the same value, regardless of how the triplestore formats the literal.
+ * @param {Term} a
+ * @param {Term} b
+ * @return {boolean}
+ */
+export function sameTerm(a, b) {
+  if ( a.type !== b.type )
+    return false;
+  if ( a.type === "uri" )
+    return a.value === b.value;
+  if ( (a.language || null) !== (b.language || null) )
+    return false;
+
+  const datatypeA = a.datatype || `${XSD}string`;
+  const datatypeB = b.datatype || `${XSD}string`;
+  if ( NUMERIC_DATATYPES.includes(datatypeA) && NUMERIC_DATATYPES.includes(datatypeB) )
+    return parseFloat(a.value) === parseFloat(b.value);
+  if ( datatypeA === `${XSD}boolean` || datatypeB === `${XSD}boolean` ) {
+    const booleanA = booleanValue(a, datatypeA);
+    return booleanA !== null && booleanA === booleanValue(b, datatypeB);
+  }
+  if ( datatypeA !== datatypeB )
+    return false;
+  if ( datatypeA === `${XSD}dateTime` )
+    return Date.parse(a.value) === Date.parse(b.value);
+  return a.value === b.value;
+}
+
+/**
+ * Renders a term for use in a SPARQL query.
+ * @param {Term} term
+ * @return {string}
+ */
+export function sparqlEscapeTerm(term) {
+  if ( term.type === "uri" )
+    return sparqlEscapeUri(term.value);
+  else if ( term.language )
+    return `${sparqlEscapeString(term.value)}@${term.language}`;
+  else if ( term.datatype )
+    return `${sparqlEscapeString(term.value)}^^${sparqlEscapeUri(term.datatype)}`;
+  else
+    return sparqlEscapeString(term.value);
+}
+
+/**
+ * Constructs a batch from the bindings of a `SELECT ?s ?p ?o` query.
+ * @param {Array<Object>} bindings
+ * @return {TripleBatch}
+ */
+export function createTripleBatch(bindings) {
+  const current = bindings
+    .map( ({ s, p, o }) => ({ subject: s.value, predicate: p.value, object: termFromBinding(o) }) )
+    .filter( ({ object }) => object );
+  return { current, deletes: [], inserts: [] };
+}
+
+/**
+ * Current objects of a subject for a predicate.
+ * @param {TripleBatch} batch
+ * @param {string} subject
+ * @param {string} predicate
+ * @return {Array<Term>}
+ */
+export function currentObjects(batch, subject, predicate) {
+  return batch.current
+    .filter( (triple) => triple.subject === subject && triple.predicate === predicate )
+    .map( ({ object }) => object );
+}
+
+/**
+ * Current object of a subject for a predicate, null if there is none.
+ * @param {TripleBatch} batch
+ * @param {string} subject
+ * @param {string} predicate
+ * @return {Term|null}
+ */
+export function currentObject(batch, subject, predicate) {
+  return currentObjects(batch, subject, predicate)[0] || null;
+}
+
+/**
+ * Current subjects which have the object for the predicate.
+ * @param {TripleBatch} batch
+ * @param {string} predicate
+ * @param {Term} object
+ * @return {Array<string>} URIs of the subjects.
+ */
+export function currentSubjects(batch, predicate, object) {
+  return [...new Set(
+    batch.current
+      .filter( (triple) => triple.predicate === predicate && sameTerm(triple.object, object) )
+      .map( ({ subject }) => subject )
+  )];
+}
+
+export function insertTriple(batch, subject, predicate, object) {
+  batch.inserts.push({ subject, predicate, object });
+}
+
+export function deleteTriple(batch, subject, predicate, object) {
+  batch.deletes.push({ subject, predicate, object });
+}
+
+/**
+ * Ensures the subject has exactly the supplied objects for the predicate.
+ *
+ * Objects which are already there are left alone.
+ * @param {TripleBatch} batch
+ * @param {string} subject
+ * @param {string} predicate
+ * @param {Array<Term>} objects Desired objects, an empty array removes all objects.
+ */
+export function setObjects(batch, subject, predicate, objects) {
+  const current = currentObjects(batch, subject, predicate);
+  for ( const object of current )
+    if ( !objects.some( (desired) => sameTerm(desired, object) ) )
+      deleteTriple(batch, subject, predicate, object);
+  for ( const object of objects )
+    if ( !current.some( (existing) => sameTerm(existing, object) ) )
+      insertTriple(batch, subject, predicate, object);
+}
+
+/**
+ * Removes all current triples of a subject.
+ * @param {TripleBatch} batch
+ * @param {string} subject
+ */
+export function deleteSubject(batch, subject) {
+  for ( const triple of batch.current )
+    if ( triple.subject === subject )
+      deleteTriple(batch, triple.subject, triple.predicate, triple.object);
+}
+
+/**
+ * @typedef {Object} TripleChange
+ * @property {string} subject
+ * @property {string} predicate
+ * @property {Array<Term>} deleted Objects which the batch removes.
+ * @property {Array<Term>} inserted Objects which the batch adds.
+ */
+
+/**
+ * The collected changes of the batch by subject and predicate, in the order in which they were made.
+ *
+ * Triples which are both deleted and inserted are left out as writing the batch keeps them.
+ * @param {TripleBatch} batch
+ * @return {Array<TripleChange>}
+ */
+export function batchChanges(batch) {
+  const same = (a, b) => a.subject === b.subject && a.predicate === b.predicate && sameTerm(a.object, b.object);
+  const changes = [];
+  const add = (triple, kind) => {
+    let change = changes.find( ({ subject, predicate }) =>
+      subject === triple.subject && predicate === triple.predicate );
+    if ( !change ) {
+      change = { subject: triple.subject, predicate: triple.predicate, deleted: [], inserted: [] };
+      changes.push(change);
+    }
+    if ( !change[kind].some( (object) => sameTerm(object, triple.object) ) )
+      change[kind].push(triple.object);
+  };
+
+  for ( const triple of batch.deletes )
+    if ( !batch.inserts.some( (insert) => same(insert, triple) ) )
+      add(triple, "deleted");
+  for ( const triple of batch.inserts )
+    if ( !batch.deletes.some( (remove) => same(remove, triple) ) )
+      add(triple, "inserted");
+
+  return changes;
+}
+
+/**
+ * Writes the collected changes of the batch in a single update.
+ * @param {TripleBatch} batch
+ * @param {string} graph Graph in which the triples live.
+ * @return {Promise<boolean>} Whether there was anything to write.
+ */
+export async function applyTripleBatch(batch, graph = "http://mu.semte.ch/application") {
+  if ( !batch.deletes.length && !batch.inserts.length )
+    return false;
+
+  const render = (triples) => triples
+    .map( ({ subject, predicate, object }) =>
+      `${sparqlEscapeUri(subject)} ${sparqlEscapeUri(predicate)} ${sparqlEscapeTerm(object)}.` )
+    .join("\n        ");
+
+  await update(`
+    DELETE {
+      GRAPH ${sparqlEscapeUri(graph)} {
+        ${render(batch.deletes)}
+      }
+    } INSERT {
+      GRAPH ${sparqlEscapeUri(graph)} {
+        ${render(batch.inserts)}
+      }
+    } WHERE {
+    }`);
+
+  return true;
+}
@@ -0,0 +1,52 @@
+/**
+ * Processes items with a bounded amount of parallel workers.
+ *
+ * Items are started in order and onComplete is called for each item in the order of the items, regardless of the
+ * order in which they finish.  When an item fails no new items are started and the first failure is thrown once the
+ * running items have finished.
+ *
+ * @template T, R
+ * @param {Array<T>} items Items to process.
+ * @param {number} concurrency Maximum amount of items which are processed at the same time, a finite number.
+ * @param {(item: T, index: number) => Promise<R>} work Processes a single item.
+ * @param {(result: R, index: number) => void} [onComplete] Called in order with the result of each item.
+ * @return {Promise}
+ */
+export async function forEachInOrder(items, concurrency, work, onComplete = () => {}) {
+  // NaN would start no workers at all and look like every item was processed
+  if ( !Number.isFinite(concurrency) )
+    throw new RangeError(`Concurrency should be a finite number, got ${concurrency}`);
+
+  const results = new Array(items.length);
+  const finished = new Array(items.length).fill(false);
+  let nextToStart = 0;
+  let nextToComplete = 0;
+  let failed = false;
+  let failure;
+
+  async function worker() {
+    while ( nextToStart < items.length && !failed ) {
+      const index = nextToStart++;
+      try {
+        results[index] = await work(items[index], index);
+      } catch (e) {
+        if ( !failed ) {
+          failed = true;
+          failure = e;
+        }
+        return;
+      }
+      finished[index] = true;
+      while ( !failed && nextToComplete < items.length && finished[nextToComplete] ) {
+        onComplete(results[nextToComplete], nextToComplete);
+        nextToComplete++;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if ( failed )
+    throw failure;
+}
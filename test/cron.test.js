@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// schedules are in the service's timezone, use one with daylight saving time
+process.env.TZ = "Europe/Brussels";
+const { parseCron, nextCronRun, CronExpressionError } = await import('../lib/cron.js');
+
+function local(year, month, day, hours = 0, minutes = 0) {
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+test("parses numbers, ranges, steps and lists", () => {
+  const schedule = parseCron("0,30 8-10 */10 1-12/6 1-5");
+  assert.deepEqual([...schedule.minutes], [0, 30]);
+  assert.deepEqual([...schedule.hours], [8, 9, 10]);
+  assert.deepEqual([...schedule.daysOfMonth], [1, 11, 21, 31]);
+  assert.deepEqual([...schedule.months], [1, 7]);
+  assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test("continues a step from a start until the end of the field", () => {
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+});
+
+test("treats 7 as Sunday", () => {
+  assert.ok(parseCron("0 0 * * 7").daysOfWeek.has(0));
+});
+
+test("expands the shorthands", () => {
+  assert.equal(nextCronRun("@daily", local(2025, 4, 14, 10)).getTime(), local(2025, 4, 15).getTime());
+  assert.equal(nextCronRun("@hourly", local(2025, 4, 14, 10, 5)).getTime(), local(2025, 4, 14, 11).getTime());
+});
+
+test("rejects invalid expressions", () => {
+  for ( const expression of ["* * * *", "* * * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *",
+    "* * * * 8", "*/0 * * * *", "5-1 * * * *", "a * * * *", "1,,2 * * * *", ""] )
+    assert.throws(() => parseCron(expression), CronExpressionError, expression);
+});
+
+test("runs strictly after the given moment", () => {
+  assert.equal(nextCronRun("* * * * *", local(2025, 4, 14, 10, 5)).getTime(), local(2025, 4, 14, 10, 6).getTime());
+  assert.equal(nextCronRun("5 10 * * *", local(2025, 4, 14, 10, 5)).getTime(), local(2025, 4, 15, 10, 5).getTime());
+});
+
+test("ignores the seconds of the given moment", () => {
+  const after = new Date(local(2025, 4, 14, 10, 5).getTime() + 59999);
+  assert.equal(nextCronRun("*/15 * * * *", after).getTime(), local(2025, 4, 14, 10, 15).getTime());
+});
+
+test("accepts a parsed schedule", () => {
+  const schedule = parseCron("0 3 * * *");
+  assert.equal(nextCronRun(schedule, local(2025, 4, 14, 4)).getTime(), local(2025, 4, 15, 3).getTime());
+});
+
+test("matches either day field when both are restricted", () => {
+  // the 14th of April 2025 is a Monday, the 15th of May 2025 is a Thursday
+  const schedule = parseCron("0 0 15 * 1");
+  assert.equal(nextCronRun(schedule, local(2025, 4, 13)).getTime(), local(2025, 4, 14).getTime());
+  assert.equal(nextCronRun(schedule, local(2025, 4, 14)).getTime(), local(2025, 4, 15).getTime());
+  assert.equal(nextCronRun(schedule, local(2025, 5, 13)).getTime(), local(2025, 5, 15).getTime());
+});
+
+test("matches both day fields when one of them is unrestricted", () => {
+  assert.equal(nextCronRun("0 0 * * 1", local(2025, 4, 15)).getTime(), local(2025, 4, 21).getTime());
+  assert.equal(nextCronRun("0 0 15 * *", local(2025, 4, 15)).getTime(), local(2025, 5, 15).getTime());
+});
+
+test("crosses months and years", () => {
+  assert.equal(nextCronRun("0 0 31 * *", local(2025, 4, 1)).getTime(), local(2025, 5, 31).getTime());
+  assert.equal(nextCronRun("0 0 1 1 *", local(2025, 4, 1)).getTime(), local(2026, 1, 1).getTime());
+  assert.equal(nextCronRun("0 0 29 2 *", local(2025, 4, 1)).getTime(), local(2028, 2, 29).getTime());
+});
+
+test("throws for a schedule which never runs", () => {
+  assert.throws(() => nextCronRun("0 0 30 2 *", local(2025, 4, 1)), (e) => e instanceof CronExpressionError
+    && /never runs/.test(e.message));
+});
+
+test("skips a time which does not exist when the clock moves forward", () => {
+  // on the 30th of March 2025 the clock jumps from 02:00 to 03:00
+  assert.equal(nextCronRun("30 2 * * *", local(2025, 3, 29, 12)).getTime(), local(2025, 3, 31, 2, 30).getTime());
+  assert.equal(nextCronRun("0 * * * *", local(2025, 3, 30, 1, 30)).toISOString(), "2025-03-30T01:00:00.000Z");
+});
+
+test("runs once on a time which occurs twice when the clock moves back", () => {
+  // on the 26th of October 2025 the clock moves back from 03:00 to 02:00
+  const first = nextCronRun("30 2 * * *", local(2025, 10, 26, 1));
+  assert.equal(first.toISOString(), "2025-10-26T00:30:00.000Z");
+  assert.equal(nextCronRun("30 2 * * *", first).toISOString(), "2025-10-27T01:30:00.000Z");
+});
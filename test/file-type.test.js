@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMimeType, imageDimensions } from '../lib/file-type.js';
+
+// Headers of small images, only the parts which are read are filled in
+
+function jpeg(width, height, { padding = false } = {}) {
+  const app0 = [0xff, 0xe0, 0x00, 0x10, ...Buffer.from("JFIF\0"), 1, 1, 0, 0, 1, 0, 1, 0, 0];
+  const huffmanTable = [0xff, 0xc4, 0x00, 0x04, 0x00, 0x00];
+  const startOfFrame = [0xff, 0xc0, 0x00, 0x11, 8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3];
+  return Buffer.from([0xff, 0xd8, ...app0, ...(padding ? [0xff] : []), ...huffmanTable, ...startOfFrame, 0, 0, 0, 0]);
+}
+
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write("IHDR", 12, "latin1");
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function gif(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write("GIF89a", 0, "latin1");
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function webp(chunk, writeSize) {
+  const buffer = Buffer.alloc(30);
+  buffer.write("RIFF", 0, "latin1");
+  buffer.writeUInt32LE(22, 4);
+  buffer.write("WEBP", 8, "latin1");
+  buffer.write(chunk, 12, "latin1");
+  writeSize(buffer);
+  return buffer;
+}
+
+function avif(width, height) {
+  const ftyp = Buffer.alloc(16);
+  ftyp.writeUInt32BE(16, 0);
+  ftyp.write("ftypavif", 4, "latin1");
+  const ispe = Buffer.alloc(20);
+  ispe.writeUInt32BE(20, 0);
+  ispe.write("ispe", 4, "latin1");
+  ispe.writeUInt32BE(width, 12);
+  ispe.writeUInt32BE(height, 16);
+  return Buffer.concat([ftyp, Buffer.from("meta padding"), ispe]);
+}
+
+test("detects images by their signature", () => {
+  assert.equal(detectMimeType(jpeg(1, 1)), "image/jpeg");
+  assert.equal(detectMimeType(png(1, 1)), "image/png");
+  assert.equal(detectMimeType(gif(1, 1)), "image/gif");
+  assert.equal(detectMimeType(webp("VP8 ", () => null)), "image/webp");
+  assert.equal(detectMimeType(avif(1, 1)), "image/avif");
+  assert.equal(detectMimeType(Buffer.from("BM\0\0")), "image/bmp");
+  assert.equal(detectMimeType(Buffer.from("II*\0")), "image/tiff");
+  assert.equal(detectMimeType(Buffer.from("%PDF-1.7")), "application/pdf");
+});
+
+test("recognises SVG and HTML so they are not taken for images", () => {
+  for ( const svg of [
+    "<svg xmlns=\"http://www.w3.org/2000/svg\"></svg>",
+    "\uFEFF  <?xml version=\"1.0\"?>\n<!-- drawn by hand -->\n<!DOCTYPE svg PUBLIC \"-//W3C//DTD SVG 1.1//EN\">\n<svg>"
+  ] ) {
+    assert.equal(detectMimeType(Buffer.from(svg)), "image/svg+xml");
+    assert.equal(imageDimensions(Buffer.from(svg), "image/svg+xml"), null);
+  }
+  for ( const html of ["<!DOCTYPE html><html></html>", "\n<html lang=\"nl\">", "<body>Not found</body>"] )
+    assert.equal(detectMimeType(Buffer.from(html)), "text/html");
+});
+
+test("does not recognise other contents", () => {
+  assert.equal(detectMimeType(Buffer.alloc(0)), null);
+  assert.equal(detectMimeType(Buffer.from("{\"error\": \"not found\"}")), null);
+  assert.equal(detectMimeType(Buffer.from([0xff, 0xd8])), null);
+  assert.equal(detectMimeType(Buffer.from("RIFF\0\0\0\0WAVE")), null);
+});
+
+test("reads the dimensions of a JPEG from its start of frame", () => {
+  assert.deepEqual(imageDimensions(jpeg(640, 480), "image/jpeg"), { width: 640, height: 480 });
+  assert.deepEqual(imageDimensions(jpeg(300, 200, { padding: true }), "image/jpeg"), { width: 300, height: 200 });
+});
+
+test("reads the dimensions of PNG and GIF images", () => {
+  assert.deepEqual(imageDimensions(png(1024, 768), "image/png"), { width: 1024, height: 768 });
+  assert.deepEqual(imageDimensions(gif(16, 32), "image/gif"), { width: 16, height: 32 });
+});
+
+test("reads the dimensions of lossy, lossless and extended WebP images", () => {
+  const lossy = webp("VP8 ", (buffer) => {
+    buffer.writeUInt16LE(800, 26);
+    buffer.writeUInt16LE(600, 28);
+  });
+  const lossless = webp("VP8L", (buffer) => {
+    buffer.writeUInt8(0x2f, 20);
+    buffer.writeUInt32LE((800 - 1) | ((600 - 1) << 14), 21);
+  });
+  const extended = webp("VP8X", (buffer) => {
+    buffer.writeUIntLE(5000 - 1, 24, 3);
+    buffer.writeUIntLE(20000 - 1, 27, 3);
+  });
+  assert.deepEqual(imageDimensions(lossy, "image/webp"), { width: 800, height: 600 });
+  assert.deepEqual(imageDimensions(lossless, "image/webp"), { width: 800, height: 600 });
+  assert.deepEqual(imageDimensions(extended, "image/webp"), { width: 5000, height: 20000 });
+});
+
+test("reads the dimensions of an AVIF from its spatial extents", () => {
+  assert.deepEqual(imageDimensions(avif(1920, 1080), "image/avif"), { width: 1920, height: 1080 });
+});
+
+test("yields no dimensions for truncated images", () => {
+  // each is cut off in the middle of its dimensions
+  const cases = [
+    ["image/jpeg", jpeg(640, 480), 30],
+    ["image/png", png(1024, 768), 20],
+    ["image/gif", gif(16, 32), 8],
+    ["image/webp", webp("VP8 ", () => null), 27],
+    ["image/webp", webp("VP8L", () => null), 22],
+    ["image/webp", webp("VP8X", () => null), 27],
+    ["image/avif", avif(1920, 1080), 44]
+  ];
+  for ( const [mimeType, buffer, length] of cases )
+    assert.equal(imageDimensions(buffer.subarray(0, length), mimeType), null, `${mimeType} of ${length} bytes`);
+});
+
+test("yields no dimensions for a JPEG without a start of frame or with broken segments", () => {
+  assert.equal(imageDimensions(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0, 0, 0xff, 0xd9, 0, 0, 0, 0, 0]), "image/jpeg"), null);
+  assert.equal(imageDimensions(Buffer.from([0xff, 0xd8, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08]), "image/jpeg"), null);
+});
+
+test("yields no dimensions for formats it can not read", () => {
+  assert.equal(imageDimensions(Buffer.from("BM\0\0"), "image/bmp"), null);
+});
@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// the client reads its configuration when it is loaded
+process.env.LFW_REQUESTS_PER_SECOND = "1000";
+process.env.LFW_MAX_RETRIES = "3";
+process.env.LFW_RETRY_BASE_DELAY_MS = "10";
+process.env.LFW_MAX_RETRY_DELAY_MS = "300";
+const { fetchJSON, fetchFile, fetchCachedJSON, LfwRequestError, FileTooLargeError } = await import('../lib/lfw-client.js');
+
+// Responses of the server by path, each request takes the next response of its path and repeats the last one
+const responses = new Map();
+const requests = [];
+// Amount of chunks written by streaming responses by path
+const writtenChunks = new Map();
+let server;
+let baseUrl;
+
+function respondWith(path, ...pathResponses) {
+  responses.set(path, pathResponses);
+}
+
+function json(body, headers = {}) {
+  return { status: 200, headers: { "content-type": "application/json", ...headers }, body: JSON.stringify(body) };
+}
+
+function failure(status, headers = {}) {
+  return { status, headers: { "content-type": "text/plain", ...headers }, body: "failed" };
+}
+
+before(async () => {
+  server = http.createServer( (req, res) => {
+    requests.push({ path: req.url, time: Date.now() });
+    const pathResponses = responses.get(req.url) || [failure(404)];
+    const { status, headers, body, chunks } = pathResponses.length > 1 ? pathResponses.shift() : pathResponses[0];
+    res.writeHead(status, headers);
+    if ( chunks )
+      streamChunks(req.url, res, chunks);
+    else
+      res.end(body);
+  });
+  await new Promise( (resolve) => server.listen(0, "127.0.0.1", resolve) );
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise( (resolve) => server.close(resolve) );
+});
+
+// Writes chunks of 64KiB without announcing the length, until all are written or the client goes away
+async function streamChunks(path, res, chunks) {
+  writtenChunks.set(path, 0);
+  let closed = false;
+  let wakeUp = () => null;
+  res.once("close", () => {
+    closed = true;
+    wakeUp();
+  });
+  for ( let index = 0; index < chunks && !closed; index++ ) {
+    if ( !res.write(Buffer.alloc(64 * 1024)) )
+      await new Promise( (resolve) => {
+        wakeUp = resolve;
+        res.once("drain", resolve);
+      });
+    writtenChunks.set(path, index + 1);
+  }
+  res.end();
+}
+
+function requestsTo(path) {
+  return requests.filter( (request) => request.path === path );
+}
+
+test("retries a response with status 429", async () => {
+  respondWith("/too-many", failure(429), json({ ok: true }));
+  assert.deepEqual(await fetchJSON(`${baseUrl}/too-many`), { ok: true });
+  assert.equal(requestsTo("/too-many").length, 2);
+});
+
+test("retries a response with status 503", async () => {
+  respondWith("/unavailable", failure(503), failure(503), json({ ok: true }));
+  assert.deepEqual(await fetchJSON(`${baseUrl}/unavailable`), { ok: true });
+  assert.equal(requestsTo("/unavailable").length, 3);
+});
+
+test("gives up after the maximum amount of retries", async () => {
+  respondWith("/down", failure(503));
+  await assert.rejects(fetchJSON(`${baseUrl}/down`), (e) => e instanceof LfwRequestError && e.status === 503);
+  assert.equal(requestsTo("/down").length, 4);
+});
+
+test("does not retry a response with status 404", async () => {
+  respondWith("/missing", failure(404));
+  await assert.rejects(fetchJSON(`${baseUrl}/missing`), (e) => e instanceof LfwRequestError && !e.transient);
+  assert.equal(requestsTo("/missing").length, 1);
+});
+
+test("waits as long as Retry-After asks", async () => {
+  respondWith("/retry-after", failure(429, { "retry-after": "0.2" }), json({ ok: true }));
+  await fetchJSON(`${baseUrl}/retry-after`);
+  const [first, second] = requestsTo("/retry-after");
+  assert.ok(second.time - first.time >= 190, `retried after ${second.time - first.time}ms`);
+});
+
+test("caps the delay of Retry-After", async () => {
+  respondWith("/retry-later", failure(503, { "retry-after": "3600" }), json({ ok: true }));
+  const start = Date.now();
+  await fetchJSON(`${baseUrl}/retry-later`);
+  assert.ok(Date.now() - start < 1000, `retried after ${Date.now() - start}ms`);
+});
+
+test("rejects an unexpected content type", async () => {
+  respondWith("/html", { status: 200, headers: { "content-type": "text/html" }, body: "<html></html>" });
+  await assert.rejects(fetchJSON(`${baseUrl}/html`), (e) => e instanceof LfwRequestError && !e.transient);
+  assert.equal(requestsTo("/html").length, 1);
+});
+
+test("accepts a JSON content type with parameters", async () => {
+  respondWith("/charset", json({ ok: true }, { "content-type": "application/json; charset=utf-8" }));
+  assert.deepEqual(await fetchJSON(`${baseUrl}/charset`), { ok: true });
+});
+
+test("leaves nothing in the page cache after a failure", async () => {
+  const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "page-cache-"));
+  try {
+    respondWith("/failing-page", failure(503));
+    await assert.rejects(fetchCachedJSON(`${baseUrl}/failing-page`, path.join(cacheDirectory, "page.json")));
+    respondWith("/html-page", { status: 200, headers: { "content-type": "text/html" }, body: "<html></html>" });
+    await assert.rejects(fetchCachedJSON(`${baseUrl}/html-page`, path.join(cacheDirectory, "page.json")));
+    assert.deepEqual(fs.readdirSync(cacheDirectory), []);
+  } finally {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  }
+});
+
+test("uses a fresh cached page and fetches an expired one", async () => {
+  const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "page-cache-"));
+  try {
+    const filePath = path.join(cacheDirectory, "page.json");
+    respondWith("/page", json({ version: 1 }), json({ version: 2 }));
+    assert.deepEqual((await fetchCachedJSON(`${baseUrl}/page`, filePath, { ttl: 60 })).body, { version: 1 });
+    assert.deepEqual((await fetchCachedJSON(`${baseUrl}/page`, filePath, { ttl: 60 })).body, { version: 1 });
+    assert.deepEqual((await fetchCachedJSON(`${baseUrl}/page`, filePath, { ttl: 0 })).body, { version: 2 });
+    assert.deepEqual(fs.readdirSync(cacheDirectory), ["page.json"]);
+    assert.equal(requestsTo("/page").length, 2);
+  } finally {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  }
+});
+
+test("fetches a file within the size limit", async () => {
+  respondWith("/small.jpg", { status: 200, headers: { "content-type": "image/jpeg" }, body: "jpeg" });
+  const { buffer, contentType } = await fetchFile(`${baseUrl}/small.jpg`, /^image\//, { maxSize: 4 });
+  assert.equal(buffer.toString(), "jpeg");
+  assert.equal(contentType, "image/jpeg");
+});
+
+test("refuses a file which announces a length over the size limit", async () => {
+  respondWith("/large.jpg", { status: 200, headers: { "content-type": "image/jpeg" }, body: "x".repeat(1024) });
+  await assert.rejects(fetchFile(`${baseUrl}/large.jpg`, /^image\//, { maxSize: 100 }),
+    (e) => e instanceof FileTooLargeError && e.size === 1024);
+});
+
+test("stops reading a file without length once it exceeds the size limit", async () => {
+  respondWith("/endless.jpg", { status: 200, headers: { "content-type": "image/jpeg" }, chunks: 1000 });
+  await assert.rejects(fetchFile(`${baseUrl}/endless.jpg`, /^image\//, { maxSize: 256 * 1024 }),
+    (e) => e instanceof FileTooLargeError);
+  await new Promise( (resolve) => setTimeout(resolve, 100) );
+  assert.ok(writtenChunks.get("/endless.jpg") < 1000, `wrote ${writtenChunks.get("/endless.jpg")} chunks`);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forEachInOrder } from '../lib/worker-pool.js';
+
+function sleep(ms) {
+  return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+test("completes the items in order while they finish out of order", async () => {
+  const completed = [];
+  await forEachInOrder([30, 10, 20], 3, async (delay) => { await sleep(delay); return delay; },
+    (result, index) => completed.push([index, result]));
+  assert.deepEqual(completed, [[0, 30], [1, 10], [2, 20]]);
+});
+
+test("runs no more items at the same time than the concurrency", async () => {
+  let running = 0;
+  let maxRunning = 0;
+  await forEachInOrder([1, 2, 3, 4, 5], 2, async () => {
+    maxRunning = Math.max(maxRunning, ++running);
+    await sleep(5);
+    running--;
+  });
+  assert.equal(maxRunning, 2);
+});
+
+test("throws the first failure and starts no new items", async () => {
+  const started = [];
+  await assert.rejects(forEachInOrder([1, 2, 3, 4], 1, async (item) => {
+    started.push(item);
+    if ( item === 2 )
+      throw new Error("failed");
+  }), /failed/);
+  assert.deepEqual(started, [1, 2]);
+});
+
+test("rejects a concurrency which is not a finite number", async () => {
+  const started = [];
+  for ( const concurrency of [NaN, Infinity, undefined] )
+    await assert.rejects(forEachInOrder([1, 2, 3], concurrency, async (item) => started.push(item)), RangeError);
+  assert.deepEqual(started, []);
+});